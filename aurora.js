@@ -0,0 +1,85 @@
+// AURORA - Shader ribbon hung above the artwork; strength, red crown and ray shimmer come from the mapping
+
+import * as THREE from 'three';
+
+const vertexShader = `
+uniform float uTime;
+varying vec2 vUv;
+void main() {
+    vUv = uv;
+    vec3 p = position;
+    // Folds travel slowly along the curtain
+    p.z += sin(p.x * 0.35 + uTime * 0.4) * 0.18 + sin(p.x * 0.9 - uTime * 0.25) * 0.08;
+    p.y += sin(p.x * 0.2 + uTime * 0.15) * 0.3 * uv.y;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(p, 1.0);
+}`;
+
+const fragmentShader = `
+uniform float uTime;
+uniform float uStrength;
+uniform float uRedness;
+uniform float uShimmer;
+varying vec2 vUv;
+
+float aHash(vec2 p) { return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453); }
+float aNoise(vec2 p) {
+    vec2 i = floor(p), f = fract(p);
+    vec2 u = f * f * (3.0 - 2.0 * f);
+    return mix(mix(aHash(i), aHash(i + vec2(1.0, 0.0)), u.x), mix(aHash(i + vec2(0.0, 1.0)), aHash(i + vec2(1.0, 1.0)), u.x), u.y);
+}
+
+void main() {
+    // Vertical rays: high-frequency noise along the ribbon, sharper with more electrons
+    float rays = aNoise(vec2(vUv.x * 60.0, uTime * 0.6)) * 0.6 + aNoise(vec2(vUv.x * 13.0, uTime * 0.2)) * 0.4;
+    rays = pow(rays, 1.0 + uShimmer * 2.0);
+    float flicker = 0.85 + 0.15 * aNoise(vec2(vUv.x * 4.0, uTime * (1.0 + uShimmer * 4.0)));
+
+    // Bright lower edge that fades upward, soft ends
+    float body = smoothstep(0.0, 0.08, vUv.y) * (1.0 - smoothstep(0.15, 1.0, vUv.y));
+    float ends = smoothstep(0.0, 0.15, vUv.x) * smoothstep(1.0, 0.85, vUv.x);
+
+    vec3 green = vec3(0.2, 1.0, 0.55);
+    vec3 crown = mix(vec3(0.45, 0.25, 1.0), vec3(1.0, 0.15, 0.35), uRedness);
+    vec3 color = mix(green, crown, smoothstep(0.25, 0.8, vUv.y) * (0.5 + 0.5 * uRedness));
+
+    float alpha = body * ends * rays * flicker * uStrength;
+    gl_FragColor = vec4(color, alpha);
+}`;
+
+export function createAurora({ width = 18, height = 6 } = {}) {
+    const uniforms = {
+        uTime: { value: 0 },
+        uStrength: { value: 0 },
+        uRedness: { value: 0 },
+        uShimmer: { value: 0 }
+    };
+    const material = new THREE.ShaderMaterial({
+        uniforms,
+        vertexShader,
+        fragmentShader,
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending,
+        side: THREE.DoubleSide
+    });
+    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(width, height, 120, 8), material);
+    mesh.visible = false;
+
+    // levels: { strength, redness, shimmer } (0..1), or null to let the ribbon fade away; eases so data steps never pop
+    function update(delta, levels) {
+        const k = Math.min(1, delta * 0.8);
+        uniforms.uStrength.value += ((levels?.strength ?? 0) - uniforms.uStrength.value) * k;
+        uniforms.uRedness.value += ((levels?.redness ?? uniforms.uRedness.value) - uniforms.uRedness.value) * k;
+        uniforms.uShimmer.value += ((levels?.shimmer ?? uniforms.uShimmer.value) - uniforms.uShimmer.value) * k;
+        uniforms.uTime.value += delta * (0.5 + uniforms.uShimmer.value * 1.5);
+        mesh.visible = uniforms.uStrength.value > 0.005;
+    }
+
+    // Back to a dark, unshifted sky (the start of a recording)
+    function reset() {
+        Object.values(uniforms).forEach(u => { u.value = 0; });
+        mesh.visible = false;
+    }
+
+    return { mesh, update, reset, get strength() { return uniforms.uStrength.value; } };
+}
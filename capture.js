@@ -0,0 +1,131 @@
+// CAPTURE - Press stills at any multiple of the canvas (tiled renders), frame-exact sequences and their metadata
+
+// Largest canvas edge browsers reliably allocate and encode
+export const MAX_EDGE = 16384;
+
+// Renders the current view at `scale` x the drawing buffer, one canvas-sized tile at a time through the camera's view offset
+export function renderTiled(renderer, scene, camera, scale) {
+    const { width: tileWidth, height: tileHeight } = renderer.domElement;
+    const s = Math.max(1, Math.min(scale, MAX_EDGE / Math.max(tileWidth, tileHeight)));
+    const out = document.createElement('canvas');
+    out.width = Math.round(tileWidth * s);
+    out.height = Math.round(tileHeight * s);
+    const ctx = out.getContext('2d');
+
+    // Edge tiles overhang the image; drawImage crops them
+    for (let y = 0; y < out.height; y += tileHeight) {
+        for (let x = 0; x < out.width; x += tileWidth) {
+            camera.setViewOffset(out.width, out.height, x, y, tileWidth, tileHeight);
+            renderer.render(scene, camera);
+            ctx.drawImage(renderer.domElement, x, y);
+        }
+    }
+    camera.clearViewOffset();
+    renderer.render(scene, camera);
+    return out;
+}
+
+export function toPng(canvas) {
+    return new Promise((resolve, reject) => canvas.toBlob(
+        (blob) => (blob ? resolve(blob) : reject(new Error(`Canvas ${canvas.width}×${canvas.height} could not be encoded`))),
+        'image/png'
+    ));
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let c = 0xffffffff;
+    for (const b of bytes) c = CRC_TABLE[(c ^ b) & 255] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+// Adds an iTXt chunk (UTF-8 text) right after IHDR, so a still carries its own capture conditions
+export async function embedPngText(blob, keyword, text) {
+    const png = new Uint8Array(await blob.arrayBuffer());
+    const enc = new TextEncoder();
+    // keyword \0, no compression (0, 0), empty language tag \0, empty translated keyword \0, text
+    const data = new Uint8Array([...enc.encode(keyword), 0, 0, 0, 0, 0, ...enc.encode(text)]);
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(enc.encode('iTXt'), 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    const ihdrEnd = 33; // signature (8) + IHDR chunk (25)
+    return new Blob([png.subarray(0, ihdrEnd), chunk, png.subarray(ihdrEnd)], { type: 'image/png' });
+}
+
+export const jsonBlob = (data) => new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+
+export function downloadBlob(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url; a.download = name; a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+const wait = (ms) => new Promise(r => setTimeout(r, Math.max(0, ms)));
+
+// Frame sink for a recording: add() after each render, finish(metadata) writes the file(s) and the JSON sidecar.
+// 'png' is frame-exact and needs a folder (File System Access API): one download per frame would be thousands of prompts;
+// 'webm' goes through MediaRecorder, which stamps frames by wall clock, so add() paces itself to the frame rate
+// and pause()/resume() hold the recording while the scene waits (no-ops for PNG, which has no clock)
+export async function createSequenceWriter({ format, canvas, fps, name }) {
+    if (format === 'webm') {
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(t => window.MediaRecorder?.isTypeSupported(t));
+        if (!mimeType || !canvas.captureStream) throw new Error('WebM recording is not supported in this browser');
+        const stream = canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 16e6 });
+        const chunks = [];
+        recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+        recorder.start();
+        let slot = performance.now();
+        return {
+            async add() {
+                track.requestFrame();
+                // A frame that rendered late starts a new schedule rather than rushing the next ones out
+                slot = Math.max(slot + 1000 / fps, performance.now());
+                await wait(slot - performance.now());
+            },
+            pause: () => recorder.pause(),
+            resume() {
+                recorder.resume();
+                slot = performance.now();
+            },
+            async finish(metadata) {
+                const stopped = new Promise(r => { recorder.onstop = r; });
+                recorder.stop();
+                await stopped;
+                track.stop();
+                downloadBlob(new Blob(chunks, { type: 'video/webm' }), `${name}.webm`);
+                downloadBlob(jsonBlob(metadata), `${name}.json`);
+            }
+        };
+    }
+
+    if (!window.showDirectoryPicker) throw new Error('PNG sequences need a folder picker (Chrome / Edge); record WebM in this browser');
+    const dir = await window.showDirectoryPicker({ mode: 'readwrite' }).catch(() => null);
+    if (!dir) throw new Error('No folder picked for the PNG frames');
+    const write = async (blob, file) => {
+        const writable = await (await dir.getFileHandle(file, { create: true })).createWritable();
+        await writable.write(blob);
+        await writable.close();
+    };
+    let index = 0;
+    return {
+        async add() {
+            const blob = await toPng(canvas);
+            index++;
+            await write(blob, `${name}-${String(index).padStart(5, '0')}.png`);
+        },
+        pause() {},
+        resume() {},
+        finish: (metadata) => write(jsonBlob(metadata), `${name}.json`)
+    };
+}
@@ -0,0 +1,35 @@
+// CLOCK - The gallery's simulation time: real time x speed, pausable, and steppable frame by frame
+
+export const CLOCK_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// now(): real time in ms (injectable, so tests drive the clock by hand)
+export function createClock({ speed = 1, now = () => performance.now() } = {}) {
+    let last = null;
+    let time = 0;
+    let paused = false;
+    let queued = 0; // seconds requested by step() while paused
+
+    return {
+        // Once per frame: advances by the real time since the previous tick x speed (paused: only what step() queued)
+        tick() {
+            const t = now();
+            const real = last === null ? 0 : (t - last) / 1000;
+            last = t;
+            const delta = paused ? queued : real * speed;
+            queued = 0;
+            time += delta;
+            return { time, delta };
+        },
+        pause() { paused = true; },
+        resume() { paused = false; },
+        toggle() { paused = !paused; return paused; },
+        // Forgets the real time since the last tick (e.g. while the tab was hidden)
+        sync() { last = null; },
+        // Pauses and advances exactly `seconds` on the next tick
+        step(seconds = 1 / 60) { paused = true; queued += seconds; },
+        setSpeed(value) { speed = Math.max(0, value); },
+        get time() { return time; },
+        get speed() { return speed; },
+        get paused() { return paused; }
+    };
+}
@@ -0,0 +1,104 @@
+// GALLERY COLLECTION - Manifest-driven list of works (gallery.json)
+
+import { normalizeHotspots } from './plaque.js';
+
+export const MANIFEST_URL = 'gallery.json';
+
+export async function loadManifest(url = MANIFEST_URL) {
+    const res = await fetch(url, { cache: 'no-cache' });
+    if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+    return normalizeManifest(await res.json());
+}
+
+// Accepts { works: [...] } or a bare array; entries without a usable file are rejected
+export function normalizeManifest(json) {
+    const list = Array.isArray(json) ? json : json?.works;
+    if (!Array.isArray(list)) throw new Error('Manifest has no "works" array');
+
+    const works = [];
+    const rejected = [];
+    const seen = new Set();
+    list.forEach((entry, i) => {
+        const work = normalizeWork(entry);
+        if (!work) rejected.push({ index: i, entry, reason: 'missing "file"' });
+        else if (seen.has(work.id)) rejected.push({ index: i, entry, reason: `duplicate id "${work.id}"` });
+        else { seen.add(work.id); works.push(work); }
+    });
+    return { works, rejected };
+}
+
+function normalizeWork(entry) {
+    if (!entry || typeof entry.file !== 'string' || !entry.file.trim()) return null;
+    const file = entry.file.trim();
+    const aspect = Number(entry.aspect);
+    return {
+        ...entry,
+        id: String(entry.id ?? file),
+        file,
+        type: (entry.type || file.split('.').pop()).toLowerCase(),
+        title: entry.title || '',
+        artist: entry.artist || '',
+        year: entry.year ?? null,
+        medium: entry.medium || '',
+        description: entry.description || '',
+        hotspots: normalizeHotspots(entry.hotspots),
+        aspect: aspect > 0 ? aspect : null
+    };
+}
+
+// Navigation cursor over the works; broken entries are skipped from then on
+export function createCollection(works) {
+    const broken = new Set();
+    let index = 0;
+
+    const isAvailable = (i) => !broken.has(works[i].id);
+    const available = () => works.filter((w) => !broken.has(w.id));
+
+    function current() {
+        if (!works.length) return null;
+        if (isAvailable(index)) return works[index];
+        return step(1);
+    }
+
+    function step(dir) {
+        if (!works.length) return null;
+        for (let n = 1; n <= works.length; n++) {
+            const i = (index + dir * n + works.length * n) % works.length;
+            if (isAvailable(i)) { index = i; return works[i]; }
+        }
+        return null;
+    }
+
+    function random(rand = Math.random) {
+        const pool = available().filter((w) => w !== works[index]);
+        if (!pool.length) return current();
+        return select(pool[Math.floor(rand() * pool.length)]);
+    }
+
+    function select(workOrId) {
+        const i = works.findIndex((w) => w === workOrId || w.id === workOrId);
+        if (i < 0 || !isAvailable(i)) return null;
+        index = i;
+        return works[i];
+    }
+
+    function position() {
+        const list = available();
+        const work = current();
+        return { index: work ? list.indexOf(work) + 1 : 0, total: list.length };
+    }
+
+    return {
+        works,
+        current,
+        next: () => step(1),
+        prev: () => step(-1),
+        step,
+        random,
+        select,
+        position,
+        available,
+        markBroken: (work) => broken.add(work.id),
+        isBroken: (work) => broken.has(work.id)
+    };
+}
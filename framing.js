@@ -0,0 +1,42 @@
+// FRAMING - Fits a work (plus optional passe-partout) into the display's bounding box
+
+export const MAX_BOX = { width: 6, height: 4 }; // largest image + mat area on the wall
+export const FRAME_BORDER = 0.5; // moulding width around the mat/image
+export const DEFAULT_MAT_COLOR = '#f2efe6';
+
+// mat: number (even margin) or { width, bottom, color }; bottom-weighted mats are a framer's convention
+export function normalizeMat(mat) {
+    if (!mat) return null;
+    if (typeof mat === 'number') mat = { width: mat };
+    const width = Math.max(0, Number(mat.width) || 0);
+    const bottom = mat.bottom == null ? width : Math.max(0, Number(mat.bottom) || 0);
+    if (!width && !bottom) return null;
+    return { width, bottom, color: mat.color || DEFAULT_MAT_COLOR };
+}
+
+// All sizes in world units; offsets are relative to the image centre (the hang line)
+export function computeFraming(aspect, work = {}, box = MAX_BOX) {
+    aspect = aspect > 0 ? aspect : box.width / box.height;
+    const mat = normalizeMat(work.mat);
+    const side = mat ? mat.width : 0;
+    const bottom = mat ? mat.bottom : 0;
+
+    // work.scale < 1 hangs a small piece at a fraction of the box, the mat fills the rest
+    const scale = Math.min(1, Math.max(0.05, Number(work.scale) || 1));
+    let w = box.width * scale;
+    let h = w / aspect;
+    if (h > box.height * scale) { h = box.height * scale; w = h * aspect; }
+
+    // Shrink image and mat together until the matted piece fits the box
+    const fit = Math.min(1, box.width / (w + side * 2), box.height / (h + side + bottom));
+    w *= fit; h *= fit;
+    const matW = w + side * 2 * fit;
+    const matH = h + (side + bottom) * fit;
+    const matOffsetY = (side - bottom) * fit / 2;
+
+    return {
+        image: { width: w, height: h },
+        mat: mat ? { width: matW, height: matH, offsetY: matOffsetY, color: mat.color } : null,
+        frame: { width: matW + FRAME_BORDER * 2, height: matH + FRAME_BORDER * 2, offsetY: matOffsetY }
+    };
+}
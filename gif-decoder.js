@@ -0,0 +1,272 @@
+// GIF DECODER - GIF87a/89a parser, LZW decoder and frame compositor (no DOM, no WebGL)
+
+const DISPOSE_BACKGROUND = 2;
+const DISPOSE_PREVIOUS = 3;
+
+// Browsers treat 0-10ms delays as "as fast as possible" and clamp them to 100ms
+const MIN_DELAY = 20;
+const DEFAULT_DELAY = 100;
+
+export function decodeGif(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    let p = 0;
+
+    const u8 = () => {
+        if (p >= bytes.length) throw new Error('GIF: unexpected end of data');
+        return bytes[p++];
+    };
+    const u16 = () => u8() | (u8() << 8);
+    const readSubBlocks = () => {
+        const chunks = [];
+        let total = 0;
+        for (let size = u8(); size > 0; size = u8()) {
+            if (p + size > bytes.length) throw new Error('GIF: truncated data block');
+            chunks.push(bytes.subarray(p, p + size));
+            total += size;
+            p += size;
+        }
+        const out = new Uint8Array(total);
+        let o = 0;
+        chunks.forEach(c => { out.set(c, o); o += c.length; });
+        return out;
+    };
+    // Application extension header is a single 11-byte sub-block
+    const readAppId = () => {
+        const size = u8();
+        const head = bytes.subarray(p, p + size);
+        p += size;
+        return String.fromCharCode(...head);
+    };
+    const readPalette = (size) => {
+        if (p + size * 3 > bytes.length) throw new Error('GIF: truncated colour table');
+        const table = bytes.slice(p, p + size * 3);
+        p += size * 3;
+        return table;
+    };
+
+    const signature = String.fromCharCode(...bytes.subarray(0, 6));
+    if (signature !== 'GIF87a' && signature !== 'GIF89a') throw new Error('GIF: bad signature');
+    p = 6;
+
+    const width = u16();
+    const height = u16();
+    const screenFlags = u8();
+    const backgroundIndex = u8();
+    u8(); // pixel aspect ratio
+    const globalPalette = screenFlags & 0x80 ? readPalette(1 << ((screenFlags & 7) + 1)) : null;
+
+    const frames = [];
+    let loopCount = 1;
+    let control = null;
+
+    for (;;) {
+        const block = u8();
+        if (block === 0x3b) break; // trailer
+
+        if (block === 0x21) {
+            const label = u8();
+            if (label === 0xf9) {
+                const data = readSubBlocks();
+                control = {
+                    disposal: (data[0] >> 2) & 7,
+                    transparentIndex: data[0] & 1 ? data[3] : -1,
+                    delay: (data[1] | (data[2] << 8)) * 10
+                };
+            } else if (label === 0xff) {
+                const appId = readAppId();
+                const data = readSubBlocks();
+                if ((appId === 'NETSCAPE2.0' || appId === 'ANIMEXTS1.0') && data[0] === 1) {
+                    loopCount = data[1] | (data[2] << 8); // 0 = forever
+                }
+            } else {
+                readSubBlocks();
+            }
+            continue;
+        }
+
+        if (block === 0x2c) {
+            const left = u16();
+            const top = u16();
+            const w = u16();
+            const h = u16();
+            const flags = u8();
+            const palette = flags & 0x80 ? readPalette(1 << ((flags & 7) + 1)) : globalPalette;
+            const minCodeSize = u8();
+            const indices = lzwDecode(minCodeSize, readSubBlocks(), w * h);
+            if (!palette) throw new Error('GIF: frame without colour table');
+
+            frames.push({
+                left,
+                top,
+                width: w,
+                height: h,
+                pixels: flags & 0x40 ? deinterlace(indices, w, h) : indices,
+                palette,
+                transparentIndex: control ? control.transparentIndex : -1,
+                disposal: control ? control.disposal : 0,
+                delay: control && control.delay >= MIN_DELAY ? control.delay : DEFAULT_DELAY
+            });
+            control = null;
+            continue;
+        }
+
+        throw new Error(`GIF: unknown block 0x${block.toString(16)}`);
+    }
+
+    if (!frames.length) throw new Error('GIF: no frames');
+    return { width, height, frames, loopCount, backgroundIndex, globalPalette };
+}
+
+function lzwDecode(minCodeSize, data, pixelCount) {
+    const out = new Uint8Array(pixelCount);
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const prefix = new Uint16Array(4096);
+    const suffix = new Uint8Array(4096);
+    const stack = new Uint8Array(4097);
+
+    let codeSize = minCodeSize + 1;
+    let codeMask = (1 << codeSize) - 1;
+    let next = clearCode + 2;
+    let prev = -1;
+    let first = 0;
+    let bits = 0;
+    let datum = 0;
+    let o = 0;
+    let b = 0;
+
+    for (let i = 0; i < clearCode; i++) suffix[i] = i;
+
+    while (o < pixelCount) {
+        if (bits < codeSize) {
+            if (b >= data.length) break;
+            datum |= data[b++] << bits;
+            bits += 8;
+            continue;
+        }
+        const code = datum & codeMask;
+        datum >>= codeSize;
+        bits -= codeSize;
+
+        if (code === clearCode) {
+            codeSize = minCodeSize + 1;
+            codeMask = (1 << codeSize) - 1;
+            next = clearCode + 2;
+            prev = -1;
+            continue;
+        }
+        if (code === endCode) break;
+
+        if (prev === -1) {
+            out[o++] = suffix[code];
+            prev = code;
+            first = code;
+            continue;
+        }
+
+        let top = 0;
+        let c = code;
+        if (code >= next) {
+            stack[top++] = first;
+            c = prev;
+        }
+        while (c > endCode) {
+            stack[top++] = suffix[c];
+            c = prefix[c];
+        }
+        first = suffix[c];
+        stack[top++] = first;
+
+        if (next < 4096) {
+            prefix[next] = prev;
+            suffix[next] = first;
+            next++;
+            if ((next & codeMask) === 0 && next < 4096) {
+                codeSize++;
+                codeMask = (1 << codeSize) - 1;
+            }
+        }
+        prev = code;
+
+        while (top > 0 && o < pixelCount) out[o++] = stack[--top];
+    }
+    return out;
+}
+
+function deinterlace(pixels, width, height) {
+    const out = new Uint8Array(pixels.length);
+    const passes = [[0, 8], [4, 8], [2, 4], [1, 2]];
+    let row = 0;
+    passes.forEach(([start, stepRows]) => {
+        for (let y = start; y < height; y += stepRows) {
+            out.set(pixels.subarray(row * width, (row + 1) * width), y * width);
+            row++;
+        }
+    });
+    return out;
+}
+
+// Builds full-canvas RGBA frames one after another, honouring each frame's disposal method
+export function createGifCompositor(gif) {
+    const { width, height, frames } = gif;
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    let index = -1;
+    let saved = null;
+
+    function clearRect(f) {
+        for (let y = f.top; y < Math.min(height, f.top + f.height); y++) {
+            rgba.fill(0, (y * width + f.left) * 4, (y * width + Math.min(width, f.left + f.width)) * 4);
+        }
+    }
+
+    function drawFrame(f) {
+        const { pixels, palette, transparentIndex } = f;
+        for (let y = 0; y < f.height; y++) {
+            const dy = f.top + y;
+            if (dy >= height) break;
+            for (let x = 0; x < f.width; x++) {
+                const dx = f.left + x;
+                if (dx >= width) break;
+                const ci = pixels[y * f.width + x];
+                if (ci === transparentIndex) continue;
+                const o = (dy * width + dx) * 4;
+                rgba[o] = palette[ci * 3];
+                rgba[o + 1] = palette[ci * 3 + 1];
+                rgba[o + 2] = palette[ci * 3 + 2];
+                rgba[o + 3] = 255;
+            }
+        }
+    }
+
+    function advance() {
+        if (index >= 0) {
+            const prevFrame = frames[index];
+            if (prevFrame.disposal === DISPOSE_BACKGROUND) clearRect(prevFrame);
+            else if (prevFrame.disposal === DISPOSE_PREVIOUS && saved) rgba.set(saved);
+        }
+        index = (index + 1) % frames.length;
+        if (index === 0) rgba.fill(0);
+
+        const f = frames[index];
+        saved = f.disposal === DISPOSE_PREVIOUS ? rgba.slice() : null;
+        drawFrame(f);
+        return index;
+    }
+
+    // Random access replays from the first frame, since disposal depends on history
+    function seek(target) {
+        target = ((target % frames.length) + frames.length) % frames.length;
+        if (target < index) { index = -1; saved = null; }
+        while (index !== target) advance();
+        return index;
+    }
+
+    return {
+        rgba,
+        width,
+        height,
+        get index() { return index; },
+        advance,
+        seek
+    };
+}
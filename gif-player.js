@@ -0,0 +1,77 @@
+import * as THREE from 'three';
+import { decodeGif, createGifCompositor } from './gif-decoder.js';
+
+// GIF PLAYER - Decoded frames streamed into a CanvasTexture, advanced from animate()
+
+export async function loadGif(url) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+    return createGifPlayer(decodeGif(await res.arrayBuffer()));
+}
+
+export function createGifPlayer(gif) {
+    const compositor = createGifCompositor(gif);
+    const canvas = document.createElement('canvas');
+    canvas.width = gif.width;
+    canvas.height = gif.height;
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(gif.width, gif.height);
+
+    const texture = new THREE.CanvasTexture(canvas);
+
+    let elapsed = 0;
+    let loops = 0;
+    let paused = false;
+    let finished = false;
+
+    function show(index) {
+        compositor.seek(index);
+        imageData.data.set(compositor.rgba);
+        ctx.putImageData(imageData, 0, 0);
+        texture.needsUpdate = true;
+    }
+
+    // delta in seconds; skips frames when a slow render frame overshoots several delays
+    function update(delta) {
+        if (paused || finished || gif.frames.length < 2) return;
+        elapsed += delta * 1000;
+        let index = compositor.index;
+        let changed = false;
+        while (elapsed >= gif.frames[index].delay) {
+            elapsed -= gif.frames[index].delay;
+            if (index === gif.frames.length - 1) {
+                loops++;
+                if (gif.loopCount > 0 && loops >= gif.loopCount) { finished = true; elapsed = 0; break; }
+            }
+            index = (index + 1) % gif.frames.length;
+            changed = true;
+        }
+        if (changed) show(index);
+    }
+
+    function step(count = 1) {
+        paused = true;
+        finished = false;
+        elapsed = 0;
+        show(compositor.index + count);
+    }
+
+    show(0);
+
+    return {
+        texture,
+        width: gif.width,
+        height: gif.height,
+        get frameCount() { return gif.frames.length; },
+        get frameIndex() { return compositor.index; },
+        get paused() { return paused; },
+        update,
+        step,
+        play() { paused = false; finished = false; },
+        pause() { paused = true; },
+        // First frame, loop count restarted; a paused player stays paused
+        rewind() { elapsed = 0; loops = 0; finished = false; show(0); },
+        toggle() { paused = !paused; finished = false; return paused; },
+        dispose() { texture.dispose(); }
+    };
+}
@@ -0,0 +1,141 @@
+// INPUT - Keyboard, pointer (mouse/touch/pen), on-screen buttons and gamepads feeding one analog moveState
+
+export const MOVE_DIRECTIONS = ['forward', 'backward', 'left', 'right', 'up', 'down'];
+
+const KEY_MAP = {
+    KeyW: 'forward', ArrowUp: 'forward',
+    KeyS: 'backward', ArrowDown: 'backward',
+    KeyA: 'left', ArrowLeft: 'left',
+    KeyD: 'right', ArrowRight: 'right',
+    KeyE: 'up', KeyQ: 'down'
+};
+
+const JOYSTICK_RADIUS = 12; // px of thumb travel = full speed
+const DEAD_ZONE = 0.15;
+
+// Standard gamepad mapping: LB/RB step through works, LT/RT descend/ascend, A toggles autopilot
+const PAD_ACTIONS = { 4: 'prev', 5: 'next', 0: 'autopilot' };
+
+const emptyState = () => Object.fromEntries(MOVE_DIRECTIONS.map(d => [d, 0]));
+
+function deadZone(v) {
+    const a = Math.abs(v);
+    return a < DEAD_ZONE ? 0 : Math.sign(v) * (a - DEAD_ZONE) / (1 - DEAD_ZONE);
+}
+
+// Splits an axis pair into the four directional magnitudes (0..1)
+function applyAxes(state, x, y) {
+    state.right = Math.max(0, x); state.left = Math.max(0, -x);
+    state.backward = Math.max(0, y); state.forward = Math.max(0, -y);
+}
+
+// moveState is updated in place so existing readers keep their reference; joystick = { base, thumb }
+export function createInput({ moveState, joystick, buttons = [], onAction = () => {} }) {
+    const sources = { keys: emptyState(), buttons: emptyState(), joystick: emptyState(), gamepad: emptyState() };
+    const padButtons = {};
+
+    // KEYBOARD
+    const isTyping = (e) => /^(INPUT|TEXTAREA|SELECT)$/.test(e.target?.tagName) || e.target?.isContentEditable;
+    window.addEventListener('keydown', (e) => {
+        const dir = KEY_MAP[e.code];
+        if (!dir || isTyping(e) || e.ctrlKey || e.metaKey || e.altKey) return;
+        sources.keys[dir] = 1;
+        e.preventDefault();
+    });
+    window.addEventListener('keyup', (e) => { const dir = KEY_MAP[e.code]; if (dir) sources.keys[dir] = 0; });
+    window.addEventListener('blur', release);
+
+    // ON-SCREEN BUTTONS - each press owns its pointer, so two fingers can hold two buttons
+    buttons.forEach(btn => {
+        const dir = btn.dataset.move;
+        const held = new Set();
+        const up = (e) => {
+            held.delete(e.pointerId);
+            if (!held.size) sources.buttons[dir] = 0;
+        };
+        btn.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            btn.setPointerCapture?.(e.pointerId);
+            held.add(e.pointerId);
+            sources.buttons[dir] = 1;
+        });
+        btn.addEventListener('pointerup', up);
+        btn.addEventListener('pointercancel', up);
+        btn.addEventListener('lostpointercapture', up);
+        btn.addEventListener('contextmenu', (e) => e.preventDefault());
+    });
+
+    // JOYSTICK - tracks only the pointer that grabbed it; magnitude is analog
+    if (joystick?.base && joystick.thumb) {
+        const { base, thumb } = joystick;
+        let pointerId = null, startX = 0, startY = 0;
+        const reset = () => {
+            pointerId = null;
+            thumb.style.transform = 'translate(0px, 0px)';
+            Object.assign(sources.joystick, emptyState());
+        };
+        base.addEventListener('pointerdown', (e) => {
+            if (pointerId !== null) return;
+            e.preventDefault();
+            pointerId = e.pointerId;
+            startX = e.clientX; startY = e.clientY;
+            base.setPointerCapture?.(e.pointerId);
+        });
+        base.addEventListener('pointermove', (e) => {
+            if (e.pointerId !== pointerId) return;
+            const dx = e.clientX - startX, dy = e.clientY - startY;
+            const dist = Math.min(Math.sqrt(dx * dx + dy * dy), JOYSTICK_RADIUS);
+            const angle = Math.atan2(dy, dx);
+            const x = Math.cos(angle) * dist, y = Math.sin(angle) * dist;
+            thumb.style.transform = `translate(${x}px, ${y}px)`;
+            applyAxes(sources.joystick, deadZone(x / JOYSTICK_RADIUS), deadZone(y / JOYSTICK_RADIUS));
+        });
+        ['pointerup', 'pointercancel', 'lostpointercapture'].forEach(type => base.addEventListener(type, (e) => { if (e.pointerId === pointerId) reset(); }));
+    }
+
+    // GAMEPAD - polled every frame from animate()
+    function pollGamepads() {
+        const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()).filter(Boolean) : [];
+        Object.assign(sources.gamepad, emptyState());
+        pads.forEach(pad => {
+            const s = emptyState();
+            applyAxes(s, deadZone(pad.axes[0] || 0), deadZone(pad.axes[1] || 0));
+            s.down = pad.buttons[6]?.value || 0;
+            s.up = pad.buttons[7]?.value || 0;
+            // D-pad as digital fallback
+            if (pad.buttons[12]?.pressed) s.forward = 1;
+            if (pad.buttons[13]?.pressed) s.backward = 1;
+            if (pad.buttons[14]?.pressed) s.left = 1;
+            if (pad.buttons[15]?.pressed) s.right = 1;
+            MOVE_DIRECTIONS.forEach(d => { sources.gamepad[d] = Math.max(sources.gamepad[d], s[d]); });
+
+            Object.entries(PAD_ACTIONS).forEach(([i, action]) => {
+                const key = `${pad.index}:${i}`;
+                const pressed = !!pad.buttons[i]?.pressed;
+                if (pressed && !padButtons[key]) onAction(action);
+                padButtons[key] = pressed;
+            });
+        });
+    }
+
+    function update() {
+        pollGamepads();
+        MOVE_DIRECTIONS.forEach(d => {
+            moveState[d] = Math.max(sources.keys[d], sources.buttons[d], sources.joystick[d], sources.gamepad[d]);
+        });
+        return moveState;
+    }
+
+    function release() {
+        ['keys', 'buttons', 'joystick'].forEach(k => Object.assign(sources[k], emptyState()));
+        if (joystick?.thumb) joystick.thumb.style.transform = 'translate(0px, 0px)';
+        MOVE_DIRECTIONS.forEach(d => { moveState[d] = 0; });
+    }
+
+    // Programmatic press, e.g. from inline handlers or automation
+    function press(dir, value = 1) {
+        if (dir in sources.buttons) sources.buttons[dir] = value;
+    }
+
+    return { update, release, press, isMoving: () => MOVE_DIRECTIONS.some(d => moveState[d] > 0) };
+}
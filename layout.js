@@ -0,0 +1,51 @@
+// LAYOUT - Where each hung work goes (slots) and which walls surround them, for every room type
+
+export const LAYOUTS = ['single', 'wall', 'corridor', 'orbit'];
+
+export const SLOT_SPACING = 9; // widest frame (7) + 2m of wall between pieces
+const CORRIDOR_HALF_WIDTH = 6;
+const WALL_HEIGHT = 14;
+const WALL_OFFSET = 0.8; // wall centre sits this far behind a slot, as on the original single wall
+
+// origin: where the first (or only) work hangs; slots face +z rotated by rotationY
+export function computeLayout(kind, count, origin = { x: 0, y: 0, z: -2 }) {
+    const slots = [];
+    const walls = [];
+    const wallY = origin.y + 3.1;
+
+    if (kind === 'wall') {
+        for (let i = 0; i < count; i++) {
+            slots.push({ x: origin.x + (i - (count - 1) / 2) * SLOT_SPACING, y: origin.y, z: origin.z, rotationY: 0 });
+        }
+        walls.push({ x: origin.x, y: wallY, z: origin.z - WALL_OFFSET, width: Math.max(18, count * SLOT_SPACING + 4), height: WALL_HEIGHT, rotationY: 0 });
+    } else if (kind === 'corridor') {
+        // Alternate sides, walking down -z; pieces on the same side are SLOT_SPACING apart
+        for (let i = 0; i < count; i++) {
+            const left = i % 2 === 0;
+            slots.push({
+                x: origin.x + (left ? -CORRIDOR_HALF_WIDTH : CORRIDOR_HALF_WIDTH),
+                y: origin.y,
+                z: origin.z - i * SLOT_SPACING / 2,
+                rotationY: left ? Math.PI / 2 : -Math.PI / 2
+            });
+        }
+        const length = Math.max(1, count) * SLOT_SPACING / 2 + SLOT_SPACING;
+        const midZ = origin.z - (count - 1) * SLOT_SPACING / 4;
+        walls.push({ x: origin.x - CORRIDOR_HALF_WIDTH - WALL_OFFSET, y: wallY, z: midZ, width: length, height: WALL_HEIGHT, rotationY: Math.PI / 2 });
+        walls.push({ x: origin.x + CORRIDOR_HALF_WIDTH + WALL_OFFSET, y: wallY, z: midZ, width: length, height: WALL_HEIGHT, rotationY: -Math.PI / 2 });
+        walls.push({ x: origin.x, y: wallY, z: midZ - length / 2, width: CORRIDOR_HALF_WIDTH * 2 + WALL_OFFSET * 2 + 1, height: WALL_HEIGHT, rotationY: 0 });
+    } else if (kind === 'orbit') {
+        // Free-floating ring facing its centre; the first work stays where the single wall was
+        const radius = Math.max(10, count * SLOT_SPACING / (Math.PI * 2));
+        const cz = origin.z + radius;
+        for (let i = 0; i < count; i++) {
+            const a = (i / count) * Math.PI * 2;
+            slots.push({ x: origin.x + Math.sin(a) * radius, y: origin.y, z: cz - Math.cos(a) * radius, rotationY: -a });
+        }
+    } else {
+        slots.push({ x: origin.x, y: origin.y, z: origin.z, rotationY: 0 });
+        walls.push({ x: origin.x, y: wallY, z: origin.z - WALL_OFFSET, width: 18, height: WALL_HEIGHT, rotationY: 0 });
+    }
+
+    return { slots, walls };
+}
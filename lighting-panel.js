@@ -0,0 +1,138 @@
+// LIGHTING PANEL - Per-spotlight controls, lock toggles and the preset library (localStorage + JSON files)
+
+import { LIGHT_NAMES, LIGHT_LABELS, DEFAULT_RIG, normalizeRig, loadPresets, savePreset, deletePreset } from './lighting.js';
+
+const DEFAULT_PRESET = 'Default';
+const CURRENT_PRESET_KEY = 'cosmic-gallery.lighting-current';
+
+const FIELDS = [
+    { field: 'intensity', label: 'INT', min: 0, max: 4000, step: 10 },
+    { field: 'angle', label: 'ANG', min: 0.05, max: 1.2, step: 0.01 },
+    { field: 'penumbra', label: 'PEN', min: 0, max: 1, step: 0.05 }
+];
+
+// getRig() returns the live rig (edited in place) and onChange() pushes it to the lights;
+// onLoad(rig) replaces the whole rig when a preset is picked or imported
+export function createLightingPanel({ panel, rows, select, nameInput, fileInput, status, getRig, onChange, onLoad }) {
+    const controls = {};
+    let presets = loadPresets();
+
+    LIGHT_NAMES.forEach(name => {
+        const row = document.createElement('div');
+        row.className = 'light-row';
+        row.innerHTML = `<div class="light-row-head"><span>${LIGHT_LABELS[name]}</span>
+            <button class="lock-btn" title="Заблокувати: NOAA не змінює це світло">🔓</button></div>
+            ${FIELDS.map(f => `<label>${f.label}<input type="range" class="mini-range" data-field="${f.field}" min="${f.min}" max="${f.max}" step="${f.step}"></label>`).join('')}
+            <label>XYZ${[0, 1, 2].map(i => `<input type="number" class="light-pos" data-axis="${i}" step="0.5">`).join('')}</label>`;
+        rows.appendChild(row);
+
+        const lock = row.querySelector('.lock-btn');
+        lock.addEventListener('click', () => {
+            getRig()[name].locked = !getRig()[name].locked;
+            render();
+            onChange();
+        });
+        row.querySelectorAll('[data-field]').forEach(input => input.addEventListener('input', () => {
+            getRig()[name][input.dataset.field] = Number(input.value);
+            onChange();
+        }));
+        row.querySelectorAll('[data-axis]').forEach(input => input.addEventListener('change', () => {
+            const v = Number(input.value);
+            if (Number.isFinite(v)) getRig()[name].position[Number(input.dataset.axis)] = v;
+            onChange();
+        }));
+        controls[name] = { lock, fields: row.querySelectorAll('[data-field]'), axes: row.querySelectorAll('[data-axis]') };
+    });
+
+    select.addEventListener('change', () => load(select.value));
+    fileInput?.addEventListener('change', importFile);
+
+    function render() {
+        const rig = getRig();
+        LIGHT_NAMES.forEach(name => {
+            const c = controls[name];
+            c.lock.textContent = rig[name].locked ? '🔒' : '🔓';
+            c.lock.classList.toggle('locked', rig[name].locked);
+            c.fields.forEach(input => { input.value = rig[name][input.dataset.field]; });
+            c.axes.forEach(input => { input.value = rig[name].position[Number(input.dataset.axis)]; });
+        });
+    }
+
+    function refreshPresets(selected = select.value) {
+        select.innerHTML = '';
+        [DEFAULT_PRESET, ...Object.keys(presets)].forEach(name => {
+            const option = document.createElement('option');
+            option.value = option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = selected in presets ? selected : DEFAULT_PRESET;
+    }
+
+    function load(name) {
+        const rig = name === DEFAULT_PRESET ? DEFAULT_RIG : presets[name];
+        if (!rig) return;
+        onLoad(normalizeRig(rig));
+        nameInput.value = name === DEFAULT_PRESET ? '' : name;
+        localStorage.setItem(CURRENT_PRESET_KEY, name);
+        refreshPresets(name);
+        render();
+        setStatus('');
+    }
+
+    function save() {
+        const name = nameInput.value.trim() || (select.value !== DEFAULT_PRESET ? select.value : '');
+        if (!name || name === DEFAULT_PRESET) { setStatus('Введіть назву пресету'); nameInput.focus(); return; }
+        presets = savePreset(name, getRig());
+        localStorage.setItem(CURRENT_PRESET_KEY, name);
+        refreshPresets(name);
+        setStatus(`✓ ${name}`);
+    }
+
+    function remove() {
+        const name = select.value;
+        if (name === DEFAULT_PRESET) return;
+        presets = deletePreset(name);
+        load(DEFAULT_PRESET);
+    }
+
+    function exportJson() {
+        const name = select.value;
+        const url = URL.createObjectURL(new Blob([JSON.stringify({ name, lights: getRig() }, null, 2)], { type: 'application/json' }));
+        const a = document.createElement('a');
+        a.href = url; a.download = `lighting-${name.replace(/[^\w-]+/g, '_')}.json`; a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async function importFile() {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        try {
+            const json = JSON.parse(await file.text());
+            const name = String(json.name || file.name.replace(/\.json$/i, '')).trim() || 'Imported';
+            presets = savePreset(name === DEFAULT_PRESET ? `${name} (imported)` : name, json);
+            load(name === DEFAULT_PRESET ? `${name} (imported)` : name);
+        } catch (e) {
+            setStatus(`${file.name}: ${e.message}`);
+        }
+    }
+
+    function setStatus(text) {
+        if (status) status.textContent = text;
+    }
+
+    // Restore the preset in use on the last visit
+    refreshPresets();
+    const last = localStorage.getItem(CURRENT_PRESET_KEY);
+    if (last && presets[last]) load(last);
+    else render();
+
+    return {
+        render,
+        save,
+        remove,
+        export: exportJson,
+        import: () => fileInput?.click(),
+        toggle() { panel.classList.toggle('open'); }
+    };
+}
@@ -0,0 +1,62 @@
+// LIGHTING - The three stage spotlights as user state (colour, intensity, beam, position, lock) and saved presets
+
+export const LIGHT_NAMES = ['left', 'center', 'right'];
+export const LIGHT_LABELS = { left: 'KEY', center: 'FILL', right: 'RIM' };
+
+// A light at this intensity follows the mapping's light.intensity exactly; others scale with it
+export const REFERENCE_INTENSITY = 800;
+
+// NOAA hue offset (light.hueShift): the key light turns redder and the rim bluer under southward Bz
+export const HUE_DIRECTION = { left: -1, center: 0, right: 1 };
+
+export const PRESETS_STORAGE_KEY = 'cosmic-gallery.lighting-presets';
+
+// Positions are relative to the focused display (stage space), as in createLights
+export const DEFAULT_RIG = {
+    left: { color: '#ff2255', intensity: 800, angle: 0.45, penumbra: 0.7, position: [-9, 10, 8], locked: false },
+    center: { color: '#ffffff', intensity: 960, angle: 0.45, penumbra: 0.7, position: [0, 12, 6], locked: false },
+    right: { color: '#2255ff', intensity: 800, angle: 0.45, penumbra: 0.7, position: [9, 10, 8], locked: false }
+};
+
+const num = (v, fallback, min, max) => (Number.isFinite(Number(v)) ? Math.max(min, Math.min(max, Number(v))) : fallback);
+
+// Fills gaps from the default rig and clamps everything to what a SpotLight accepts
+export function normalizeRig(json) {
+    const lights = json?.lights || json || {};
+    return Object.fromEntries(LIGHT_NAMES.map(name => {
+        const d = DEFAULT_RIG[name];
+        const l = lights[name] || {};
+        const position = Array.isArray(l.position) && l.position.length === 3 ? l.position.map((v, i) => num(v, d.position[i], -50, 50)) : [...d.position];
+        return [name, {
+            color: /^#[0-9a-f]{6}$/i.test(l.color || '') ? l.color.toLowerCase() : d.color,
+            intensity: num(l.intensity, d.intensity, 0, 20000),
+            angle: num(l.angle, d.angle, 0.05, Math.PI / 2),
+            penumbra: num(l.penumbra, d.penumbra, 0, 1),
+            position,
+            locked: !!l.locked
+        }];
+    }));
+}
+
+export function loadPresets() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY) || '{}');
+        return Object.fromEntries(Object.entries(stored).map(([name, rig]) => [name, normalizeRig(rig)]));
+    } catch (e) {
+        return {};
+    }
+}
+
+export function savePreset(name, rig) {
+    const presets = loadPresets();
+    presets[name] = normalizeRig(rig);
+    localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+    return presets;
+}
+
+export function deletePreset(name) {
+    const presets = loadPresets();
+    delete presets[name];
+    localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+    return presets;
+}
@@ -1,33 +1,106 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { loadManifest, createCollection } from './collection.js';
+import { loadGif } from './gif-player.js';
+import { computeFraming } from './framing.js';
+import { TRANSITION_STYLES, resolveTransition, createTransitioner } from './transitions.js';
+import { LAYOUTS, computeLayout } from './layout.js';
+import { createInput } from './input.js';
+import { createDataSource, deriveNoaaData, snapshotAt, freshness, METRICS, NOAA_DEFAULTS } from './space-weather.js';
+import { createTimeline } from './timeline.js';
+import { createAurora } from './aurora.js';
+import { createMapper, normalizeMapping, DEFAULT_MAPPING } from './mapping.js';
+import { createMappingEditor, loadSavedMapping } from './mapping-editor.js';
+import { LIGHT_NAMES, HUE_DIRECTION, REFERENCE_INTENSITY, DEFAULT_RIG, normalizeRig } from './lighting.js';
+import { createLightingPanel } from './lighting-panel.js';
+import { encodeView, decodeView, LINK_PARAMS } from './view-link.js';
+import { DEFAULT_TOUR, normalizeTour, createTourPlayer, createPathRecorder, loadSavedTours, saveTours } from './tour.js';
+import { createClock, CLOCK_SPEEDS } from './clock.js';
+import { createRandom, parseSeed } from './random.js';
+import { QUALITY_TIERS, QUALITY_SETTINGS, QUALITY_STORAGE_KEY, lowerTier, guessTier, createFrameMonitor } from './quality.js';
+import { createSonification, loadAudioSettings, saveAudioSettings } from './sonification.js';
+import { PLAQUE, drawPlaque, hotspotAt, plaqueCaption } from './plaque.js';
+import { renderTiled, toPng, embedPngText, jsonBlob, downloadBlob, createSequenceWriter } from './capture.js';
 
 let scene, camera, renderer, controls;
-let starField, dustParticles, galleryWall, artwork, ambientLight;
+let starField, dustParticles, galleryWall, ambientLight, aurora;
 let lights = { left: null, center: null, right: null };
-let moveState = { forward: false, backward: false, left: false, right: false, up: false, down: false };
+let rig = normalizeRig(DEFAULT_RIG); // visitor's lighting (lighting.js); NOAA modulates on top of it
+let lightingPanel = null;
+let moveState = { forward: 0, backward: 0, left: 0, right: 0, up: 0, down: 0 }; // analog 0..1, fed by input.js
+let input = null;
 let isDynamic = true;
 let isAutopilot = false;
-let autopilotTime = 0;
-let autopilotContentTimer = 0;
 
-const moveSpeed = 0.25;
-const PLAYER_HEIGHT = 1.6;
+// TOURS - autopilot plays the selected tour (tour.js); REC turns the visitor's own flight into a new one
+let tours = [normalizeTour(DEFAULT_TOUR)];
+let tourIndex = 0;
+let tourPlayer = null;
+let recorder = null;
+let capture = null; // { cancelled } while a tour recording drives the frames at a fixed timestep
 
-let currentType = 'jpg';
-let currentIndex = 1;
+const moveSpeed = 15; // world units per second of real time (the old 0.25 per 60 fps frame)
+const PLAYER_HEIGHT = 1.6;
+const HANG_Y = PLAYER_HEIGHT + 1; // centre line of every hung work
+const VIEW_DISTANCE = 10; // how far in front of a work the camera stops
+
+// COLLECTION (gallery.json)
+let collection = createCollection([]);
+let lastStep = 1;
+let statusTimer = null;
+let transitionStyle = 'auto';
+
+// A shared view link (#work=...&cam=...) wins over the query string for layout and data source
+const sharedView = decodeView(location.hash);
+const urlParams = new URLSearchParams(location.search);
+Object.entries(sharedView.params).forEach(([key, value]) => urlParams.set(key, value));
+
+// HUNG WORKS - 'single' swaps works on one display, other layouts hang one display per work
+let layoutKind = LAYOUTS.includes(urlParams.get('layout')) ? urlParams.get('layout') : 'single';
+let layoutGroup = null;
+let displays = [];
+let focused = null;
+let stage = null; // follows the focused display, carries the theatrical lights and the autopilot orbit
+let flight = null;
+let relayoutTimer = null;
+const raycaster = new THREE.Raycaster(); // hotspot picking on the artwork planes
+const pointer = new THREE.Vector2();
+
+// CLOCK + SEED - every animation reads the simulation clock; ?seed= replays the same random choices
+const clock = createClock();
+const seed = urlParams.has('seed') ? parseSeed(urlParams.get('seed')) : Math.floor(Math.random() * 2 ** 32);
+let rng = createRandom(seed ^ 0x9e3779b9);
+const random = () => rng(); // random works, tour shuffles, transition noise (stars and dust seed their own); reseeded per recording
+
+// QUALITY - ?quality= or the last choice: 'auto' guesses a tier for the device and steps down on slow frames
+const requestedQuality = urlParams.get('quality') || localStorage.getItem(QUALITY_STORAGE_KEY);
+let qualityMode = QUALITY_TIERS.includes(requestedQuality) ? requestedQuality : 'auto';
+let qualityTier = qualityMode === 'auto' ? guessDeviceTier() : qualityMode;
+const frameMonitor = createFrameMonitor({ onSlow: stepQualityDown });
+let lastFrameAt = null;
+let frameRequest = null;
+let hudTimer = null;
+const SHADOW_TYPES = { basic: THREE.BasicShadowMap, pcf: THREE.PCFShadowMap, pcfsoft: THREE.PCFSoftShadowMap };
+
+// SOUND - off until a click; a visitor who left it on gets it back on their first click or key press
+const audioSettings = loadAudioSettings();
+const sonification = createSonification({ volume: audioSettings.volume });
 
 // NOAA DATA
-let noaaData = {
-    ssn: 50,
-    kp: 2,
-    bz: 0,
-    solarWind: 400,
-    protonFlux: 1,
-    electronFlux: 100,
-    stormLevel: 0,
-    radiationLevel: 0,
-    recentFlare: 'None'
-};
+let noaaData = { ...NOAA_DEFAULTS };
+let flareBurst = 0; // flareLevel eased per frame
+
+// MAPPING - metric -> scene parameter bindings (mapping.js), editable live from the MAP panel
+let mapper = createMapper();
+let mapped = mapper.evaluate(noaaData);
+let mappingEditor = null;
+let dataSource = null;
+let liveSnapshot = {}; // latest from the data source, kept aside while the timeline is scrubbed
+let liveTime = Date.now();
+let timeline = null;
+let recordedFrames = []; // every snapshot received this session, exportable as a replay timeline
+const METRIC_ELEMENTS = { ssn: 'noaa-ssn', kp: 'noaa-kp', bz: 'noaa-bz', solarWind: 'noaa-wind', protonFlux: 'noaa-proton', electronFlux: 'noaa-electron', recentFlare: 'noaa-flare' };
+const FRESHNESS = ['fresh', 'stale', 'old', 'missing'];
 
 init();
 animate();
@@ -40,49 +113,61 @@ function init() {
     camera = new THREE.PerspectiveCamera(70, window.innerWidth / window.innerHeight, 0.1, 1000);
     camera.position.set(0, PLAYER_HEIGHT, 15);
 
-    renderer = new THREE.WebGLRenderer({ antialias: true, stencil: false });
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-    renderer.shadowMap.enabled = true;
-    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-    document.getElementById('canvas-container').appendChild(renderer.domElement);
+    createRenderer();
 
     ambientLight = new THREE.AmbientLight(0xffffff, 0.03);
     scene.add(ambientLight);
 
-    const targetPos = new THREE.Vector3(0, PLAYER_HEIGHT + 0.5, -2);
-
-    createLights(targetPos);
+    createLights();
+    lightingPanel = createLightingPanel({
+        panel: document.getElementById('lighting-panel'),
+        rows: document.getElementById('lighting-rows'),
+        select: document.getElementById('lighting-preset'),
+        nameInput: document.getElementById('lighting-name'),
+        fileInput: document.getElementById('lighting-file'),
+        status: document.getElementById('lighting-status'),
+        getRig: () => rig,
+        onChange: applyRig,
+        onLoad: (next) => { rig = next; applyRig(); }
+    });
+    if (sharedView.lights) LIGHT_NAMES.forEach((l, i) => { rig[l].color = sharedView.lights[i]; });
+    applyRig();
     createStars();
     createSpaceDust();
     createFloor();
-    createVolumetricDisplay(targetPos);
-    createCurtains();
-
-    controls = new OrbitControls(camera, renderer.domElement);
-    controls.enableDamping = true;
-    controls.dampingFactor = 0.05;
-
-    // Full 3D Navigation - No restrictions
-    controls.minPolarAngle = 0; // Can look straight up
-    controls.maxPolarAngle = Math.PI; // Can look straight down
+    buildLayout(layoutKind, false);
 
-    // Macro Zoom - Get extremely close to artwork
-    controls.minDistance = 0.1; // Macro view (10cm from surface)
-    controls.maxDistance = 50; // Wide overview
+    createControls();
 
-    // Enable vertical panning
-    controls.enablePan = true;
-    controls.panSpeed = 0.8;
-    controls.screenSpacePanning = true; // Pan in screen space (easier control)
-
-    // Center focus on artwork
-    controls.target.set(0, PLAYER_HEIGHT + 0.5, -2);
+    // Shared view: camera exactly where the link was copied (e.g. a macro close-up)
+    if (sharedView.camera && sharedView.target) {
+        camera.position.set(...sharedView.camera);
+        controls.target.set(...sharedView.target);
+    }
 
     window.addEventListener('resize', onWindowResize, false);
 
+    // Hidden tab: no frames at all; on return the clock skips the gap instead of jumping the scene
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            cancelAnimationFrame(frameRequest);
+            frameRequest = null;
+            sonification.suspend();
+        } else if (frameRequest === null) {
+            sonification.resume();
+            clock.sync();
+            lastFrameAt = null;
+            animate();
+        }
+    });
+
     // UI Exposure
     window.updateLights = updateLights;
+    window.toggleLightingPanel = () => lightingPanel.toggle();
+    window.saveLightingPreset = () => lightingPanel.save();
+    window.deleteLightingPreset = () => lightingPanel.remove();
+    window.exportLightingPreset = () => lightingPanel.export();
+    window.importLightingPreset = () => lightingPanel.import();
     window.moveCamera = moveCamera;
     window.stopCamera = stopCamera;
     window.resetPosition = resetPosition;
@@ -91,143 +176,292 @@ function init() {
     window.randomContent = randomContent;
     window.toggleFX = toggleFX;
     window.toggleAutopilot = toggleAutopilot;
+    window.cycleTour = cycleTour;
+    window.toggleRecording = toggleRecording;
+    window.exportTour = exportTour;
+    window.toggleGif = toggleGif;
+    window.stepGif = stepGif;
+    window.cycleTransition = cycleTransition;
+    window.cycleLayout = cycleLayout;
+    window.exportTimeline = exportTimeline;
+    window.copyView = copyView;
+    window.toggleClock = toggleClock;
+    window.stepClock = stepClock;
+    window.cycleClockSpeed = cycleClockSpeed;
+    window.cycleQuality = cycleQuality;
+    window.toggleQualityHud = toggleQualityHud;
+    window.toggleAudio = toggleAudio;
+    window.setAudioVolume = setAudioVolume;
+    window.toggleInfoPanel = toggleInfoPanel;
+    window.closeHotspot = closeHotspot;
+    window.leaveHotspot = leaveHotspot;
+    window.toggleCapturePanel = () => document.getElementById('capture-panel').classList.toggle('open');
+    window.captureStill = captureStill;
+    window.recordTour = recordTour;
+    window.toggleMappingEditor = () => mappingEditor.toggle();
+    window.applyMapping = () => mappingEditor.apply();
+    window.saveMapping = () => mappingEditor.save();
+    window.exportMapping = () => mappingEditor.export();
+    window.resetMapping = () => mappingEditor.reset();
+
+    // PNG sequences are written into a picked folder; without the picker only WebM is offered
+    if (!window.showDirectoryPicker) {
+        const png = document.querySelector('#capture-format option[value="png"]');
+        png.disabled = true;
+        png.title = 'Потрібен вибір теки (Chrome / Edge)';
+    }
 
+    if (sharedView.fx === false) toggleFX();
+    updateQualityUI();
+    updateAudioUI();
+    if (audioSettings.enabled) armAudio();
     updateUI();
-    loadContent();
-    setupJoystick();
-    updateSpaceWeather();
-    setInterval(updateSpaceWeather, 60000); // Update every minute
+    initCollection();
+    setupInput();
+    setInterval(updateViewLink, 1000);
+    initMapping();
+    initTours();
+    dataSource = createDataSource(urlParams, { now: () => clock.time * 1000 });
+    timeline = createTimeline({
+        canvas: document.getElementById('noaa-sparklines'),
+        slider: document.getElementById('noaa-scrub'),
+        label: document.getElementById('noaa-scrub-time'),
+        liveButton: document.getElementById('noaa-live-btn'),
+        onScrub: scrubSpaceWeather
+    });
+    dataSource.start(updateSpaceWeather);
+    updateSourceLabel();
+    setInterval(updateSourceLabel, 1000);
     setTimeout(hideLoading, 600);
 }
 
-async function updateSpaceWeather() {
-    try {
-        const [rSSN, rProton, rFlare, rKp, rWind, rElectron] = await Promise.all([
-            fetch('https://services.swpc.noaa.gov/json/solar-cycle/predicted-solar-cycle.json').then(r => r.json()).catch(() => null),
-            fetch('https://services.swpc.noaa.gov/json/goes/primary/integral-protons-plot-6-hour.json').then(r => r.json()).catch(() => null),
-            fetch('https://services.swpc.noaa.gov/json/goes/primary/xray-flares-7-day.json').then(r => r.json()).catch(() => null),
-            fetch('https://services.swpc.noaa.gov/json/planetary_k_index_1m.json').then(r => r.json()).catch(() => null),
-            fetch('https://services.swpc.noaa.gov/json/rtsw/rtsw_wind_1m.json').then(r => r.json()).catch(() => null),
-            fetch('https://services.swpc.noaa.gov/json/goes/primary/integral-electrons-plot-6-hour.json').then(r => r.json()).catch(() => null)
-        ]);
-
-        if (rSSN) noaaData.ssn = rSSN[rSSN.length - 1]?.predicted_ssn || 50;
-        if (rProton) noaaData.protonFlux = parseFloat(rProton[rProton.length - 1]?.flux) || 1;
-        if (rKp) noaaData.kp = parseFloat(rKp[rKp.length - 1]?.kp_index) || 2;
-        if (rWind?.length) {
-            noaaData.solarWind = parseFloat(rWind[rWind.length - 1].wind_speed) || 400;
-            noaaData.bz = parseFloat(rWind[rWind.length - 1].bz) || 0;
-        }
-        if (rElectron) noaaData.electronFlux = parseFloat(rElectron[rElectron.length - 1]?.flux) || 100;
-        if (rFlare?.length) {
-            const latest = rFlare[rFlare.length - 1];
-            noaaData.recentFlare = latest.current_class || latest.max_class || 'None';
-        }
+// Receives a snapshot from the active data source (live NOAA, replay or scenario)
+function updateSpaceWeather(snapshot, time = Date.now()) {
+    Object.assign(liveSnapshot, snapshot);
+    liveTime = time;
+    recordedFrames.push({ time: new Date(time).toISOString(), ...pick(liveSnapshot, [...METRICS, 'recentFlare']) });
+    if (recordedFrames.length > 5000) recordedFrames.shift();
+
+    timeline.setHistory(dataSource.history?.() || null, time);
+    // A capture holds the conditions it started with (they are what the sidecar records)
+    if (!timeline.scrubbing && !capture) applySpaceWeather(liveSnapshot, time);
+    updateSourceLabel();
+}
 
-        let flareBoost = noaaData.recentFlare.startsWith('X') ? 0.8 : noaaData.recentFlare.startsWith('M') ? 0.3 : 0;
-        noaaData.radiationLevel = Math.min(1, (Math.log10(noaaData.protonFlux + 1) / 5) + flareBoost);
-        noaaData.stormLevel = Math.min(1, (noaaData.kp / 9) + (noaaData.bz < 0 ? Math.abs(noaaData.bz) / 20 : 0));
+// Rewinds the gallery: lights and every isDynamic reaction read noaaData as of the scrubbed moment
+function scrubSpaceWeather(time) {
+    const history = dataSource.history?.();
+    if (time === null || !history) applySpaceWeather(liveSnapshot, liveTime);
+    else applySpaceWeather({ ...liveSnapshot, ...snapshotAt(history, time) }, time);
+}
 
-        // Update UI
-        document.getElementById('noaa-ssn').textContent = noaaData.ssn.toFixed(1);
-        document.getElementById('noaa-kp').textContent = noaaData.kp.toFixed(1);
-        document.getElementById('noaa-bz').textContent = noaaData.bz.toFixed(1);
-        document.getElementById('noaa-wind').textContent = noaaData.solarWind.toFixed(0);
-        document.getElementById('noaa-proton').textContent = noaaData.protonFlux.toFixed(2);
-        document.getElementById('noaa-flare').textContent = noaaData.recentFlare;
+// time: the moment the snapshot describes, so flares can be placed along their begin/peak/end
+function applySpaceWeather(snapshot, time) {
+    const history = dataSource.history?.();
+    Object.assign(noaaData, deriveNoaaData(noaaData, snapshot, history, time));
+
+    // Update UI
+    document.getElementById('noaa-ssn').textContent = noaaData.ssn.toFixed(1);
+    document.getElementById('noaa-kp').textContent = noaaData.kp.toFixed(1);
+    document.getElementById('noaa-bz').textContent = noaaData.bz.toFixed(1);
+    document.getElementById('noaa-wind').textContent = noaaData.solarWind.toFixed(0);
+    document.getElementById('noaa-proton').textContent = noaaData.protonFlux.toFixed(2);
+    document.getElementById('noaa-flare').textContent = noaaData.recentFlare;
+    document.getElementById('noaa-electron').textContent = noaaData.electronFlux.toExponential(1);
+    document.getElementById('noaa-aurora').textContent = `${Math.round(mapper.evaluate(noaaData)['aurora.strength'] * 100)}%`;
+    document.getElementById('noaa-burst').textContent = noaaData.flareScale > 0 ? `${Math.round(noaaData.flareLevel * 100)}%` : '--';
+
+    if (dataSource?.id === 'live' && !timeline.scrubbing) console.log('🌌 NOAA Data Updated:', noaaData);
+}
 
-        console.log('🌌 NOAA Data Updated:', noaaData);
-        updateLightsFromNOAA();
-    } catch (e) {
-        console.warn("NOAA Sync Failed, using defaults");
+// ?mapping=exhibition.json > mapping saved from the editor > built-in default
+async function initMapping() {
+    mappingEditor = createMappingEditor({
+        panel: document.getElementById('mapping-panel'),
+        textarea: document.getElementById('mapping-json'),
+        status: document.getElementById('mapping-status'),
+        values: document.getElementById('mapping-values'),
+        onApply: applyMappingJson
+    });
+    let json = loadSavedMapping() || DEFAULT_MAPPING;
+    let error = null;
+    const url = urlParams.get('mapping');
+    if (url) {
+        try {
+            const res = await fetch(url, { cache: 'no-cache' });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            json = await res.json();
+        } catch (e) {
+            console.warn(`Mapping ${url} failed to load:`, e);
+            error = `${url}: ${e.message}`;
+        }
     }
+    mappingEditor.show(json);
+    mappingEditor.apply();
+    if (error) mappingEditor.setStatus(error, true);
 }
 
-function updateLightsFromNOAA() {
-    // Base intensity from SSN (more sunspots = brighter gallery)
-    const baseIntensity = 300 + (noaaData.ssn * 8);
-
-    // Storm modulation (Kp affects pulsation amplitude)
-    const stormMod = 1 + (noaaData.stormLevel * 0.5);
-
-    // Update base intensities
-    if (lights.left) lights.left.userData.baseIntensity = baseIntensity * stormMod;
-    if (lights.center) lights.center.userData.baseIntensity = baseIntensity * stormMod * 1.2;
-    if (lights.right) lights.right.userData.baseIntensity = baseIntensity * stormMod;
+// Hot reload from the editor: invalid bindings are skipped, the rest take effect on the next frame
+function applyMappingJson(json) {
+    const { mapping, rejected } = normalizeMapping(json);
+    if (rejected.length) console.warn('Mapping bindings rejected:', rejected);
+    mapper.set(mapping);
+    return { rejected };
+}
 
-    // Bz affects color spectrum
-    const bzShift = noaaData.bz * 15; // Negative Bz = redder, positive = bluer
+function pick(obj, keys) {
+    return Object.fromEntries(keys.filter(k => k in obj).map(k => [k, obj[k]]));
+}
 
-    // Update UI color pickers to reflect NOAA influence
-    const leftInput = document.getElementById('color-left');
-    const rightInput = document.getElementById('color-right');
+function updateSourceLabel() {
+    if (!dataSource) return;
+    document.querySelector('.noaa-title').textContent = `☀ ${dataSource.label}`;
+    document.getElementById('noaa-source').textContent = dataSource.describe();
+    updateFreshness(dataSource.status?.() || null);
+}
 
-    if (leftInput && rightInput) {
-        // Left light shifts with Bz (more red during southward Bz)
-        const leftHue = Math.max(0, Math.min(360, 350 - bzShift));
-        const rightHue = Math.max(0, Math.min(360, 220 + bzShift));
+// Live feed only: a dot per metric (fresh / stale / old / missing), the reading's time or the feed's error on hover
+function updateFreshness(status) {
+    document.querySelector('.noaa-source').classList.toggle('offline', !!status?.offline);
+    Object.entries(METRIC_ELEMENTS).forEach(([metric, id]) => {
+        const box = document.getElementById(id).parentElement;
+        const time = status?.times[metric];
+        const state = status ? freshness(metric, time) : null;
+        FRESHNESS.forEach(s => box.classList.toggle(s, s === state));
+        box.title = !status ? ''
+            : [Number.isFinite(time) ? `${new Date(time).toLocaleString()}` : 'немає даних', status.errors[metric]].filter(Boolean).join('\n');
+    });
+}
 
-        leftInput.value = hslToHex(leftHue, 100, 50);
-        rightInput.value = hslToHex(rightHue, 100, 50);
+// Downloads this session's snapshots in the format ?source=replay plays back
+function exportTimeline() {
+    const timeline = { name: `${dataSource.id} ${new Date().toISOString().slice(0, 16)}`, frames: recordedFrames };
+    const url = URL.createObjectURL(new Blob([JSON.stringify(timeline, null, 2)], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url; a.download = `timeline-${Date.now()}.json`; a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
 
-        updateLights();
+// Antialiasing is fixed when a WebGL context is created, so a tier that changes it gets a fresh renderer
+function createRenderer() {
+    const next = new THREE.WebGLRenderer({ antialias: QUALITY_SETTINGS[qualityTier].antialias, stencil: false });
+    next.setSize(window.innerWidth, window.innerHeight);
+    const container = document.getElementById('canvas-container');
+    if (renderer) {
+        container.replaceChild(next.domElement, renderer.domElement);
+        renderer.dispose();
+    } else {
+        container.appendChild(next.domElement);
     }
+    renderer = next;
+    applyRendererQuality();
 }
 
-function hslToHex(h, s, l) {
-    l /= 100;
-    const a = s * Math.min(l, 1 - l) / 100;
-    const f = n => {
-        const k = (n + h / 30) % 12;
-        const color = l - a * Math.max(Math.min(k - 3, 9 - k, 1), -1);
-        return Math.round(255 * color).toString(16).padStart(2, '0');
-    };
-    return `#${f(0)}${f(8)}${f(4)}`;
+function applyRendererQuality() {
+    const settings = QUALITY_SETTINGS[qualityTier];
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, settings.pixelRatio));
+    renderer.shadowMap.enabled = settings.shadows;
+    renderer.shadowMap.type = SHADOW_TYPES[settings.shadowType];
 }
 
-function createLights(target) {
-    const shadowTarget = new THREE.Object3D();
-    shadowTarget.position.copy(target);
-    scene.add(shadowTarget);
+// OrbitControls listen on the canvas, so they follow the renderer
+function createControls() {
+    const target = controls ? controls.target.clone() : new THREE.Vector3(0, PLAYER_HEIGHT + 0.5, -2);
+    controls?.dispose();
+    controls = new OrbitControls(camera, renderer.domElement);
+    controls.enableDamping = true;
+    controls.dampingFactor = 0.05;
+
+    // Full 3D Navigation - No restrictions
+    controls.minPolarAngle = 0; // Can look straight up
+    controls.maxPolarAngle = Math.PI; // Can look straight down
 
-    // THEATRICAL SETUP: Dramatic angles from above and sides
-    const setupLight = (name, xPos, yPos, zPos, color) => {
-        const light = new THREE.SpotLight(color, 800);
-        light.position.set(xPos, yPos, zPos);
-        light.target = shadowTarget;
-        light.angle = 0.45; // Tighter beam for drama
-        light.penumbra = 0.7; // Softer edges
+    // Macro Zoom - Get extremely close to artwork
+    controls.minDistance = 0.1; // Macro view (10cm from surface)
+    controls.maxDistance = 50; // Wide overview
+
+    // Enable vertical panning
+    controls.enablePan = true;
+    controls.panSpeed = 0.8;
+    controls.screenSpacePanning = true; // Pan in screen space (easier control)
+
+    // Center focus on artwork (a rebuilt renderer keeps the current one)
+    controls.target.copy(target);
+}
+
+function createLights() {
+    stage = new THREE.Group();
+    stage.position.set(0, 0, -2);
+    scene.add(stage);
+
+    // THEATRICAL SETUP: Dramatic angles from above and sides (positions relative to the focused display)
+    // Colour, intensity, beam and position come from the rig (DEFAULT_RIG or a saved preset)
+    const setupLight = (name) => {
+        const light = new THREE.SpotLight(rig[name].color, rig[name].intensity);
+        light.position.set(...rig[name].position);
+        light.angle = rig[name].angle; // Tighter beam for drama
+        light.penumbra = rig[name].penumbra; // Softer edges
         light.decay = 1.2; // Slower falloff
         light.distance = 60;
-        light.castShadow = true;
-        light.shadow.mapSize.width = 2048;
-        light.shadow.mapSize.height = 2048;
-        scene.add(light);
+        stage.add(light);
         lights[name] = light;
-        light.userData.baseIntensity = 800;
+        light.userData.baseIntensity = rig[name].intensity;
+        light.userData.baseColor = new THREE.Color(rig[name].color);
     };
 
     // Left: High angle from upper left (key light)
-    setupLight('left', -9, 10, 6, 0xff3366);
+    setupLight('left');
     // Center: Directly above (fill light)
-    setupLight('center', 0, 12, 4, 0xffffff);
+    setupLight('center');
     // Right: High angle from upper right (rim light)
-    setupLight('right', 9, 10, 6, 0x3366ff);
+    setupLight('right');
+    applyShadowQuality();
+
+    // AURORA - Ribbon high on the focused work's wall, travels with the stage
+    aurora = createAurora();
+    aurora.mesh.position.set(0, HANG_Y + 7, -0.3);
+    stage.add(aurora.mesh);
+}
+
+// Shadow map size and casting per tier; the old maps are freed so the next render allocates the new size
+function applyShadowQuality() {
+    const settings = QUALITY_SETTINGS[qualityTier];
+    LIGHT_NAMES.forEach(l => {
+        const light = lights[l];
+        light.castShadow = settings.shadows;
+        light.shadow.mapSize.set(settings.shadowMapSize, settings.shadowMapSize);
+        light.shadow.map?.dispose();
+        light.shadow.map = null;
+    });
+}
+
+// Replaces a rebuilt point cloud, keeping where the old one had drifted to
+function replacePoints(old, points) {
+    if (old) {
+        points.position.copy(old.position);
+        points.rotation.copy(old.rotation);
+        scene.remove(old);
+        old.geometry.dispose();
+        old.material.dispose();
+    }
+    scene.add(points);
+    return points;
 }
 
+// Each cloud seeds its own generator, so a lower tier draws a subset of the same particles
 function createSpaceDust() {
+    const rand = createRandom(seed ^ 0x5eed);
     const geo = new THREE.BufferGeometry();
-    const count = 3000;
+    const count = QUALITY_SETTINGS[qualityTier].dust;
     const pos = new Float32Array(count * 3);
     for (let i = 0; i < count; i++) {
-        pos[i * 3] = (Math.random() - 0.5) * 30;
-        pos[i * 3 + 1] = (Math.random()) * 10;
-        pos[i * 3 + 2] = (Math.random() - 0.5) * 20;
+        pos[i * 3] = (rand() - 0.5) * 30;
+        pos[i * 3 + 1] = rand() * 10;
+        pos[i * 3 + 2] = (rand() - 0.5) * 20;
     }
     geo.setAttribute('position', new THREE.BufferAttribute(pos, 3));
-    const mat = new THREE.PointsMaterial({ color: 0xffffff, size: 0.05, transparent: true, opacity: 0.3 });
-    dustParticles = new THREE.Points(geo, mat);
-    scene.add(dustParticles);
+    const mat = new THREE.PointsMaterial({ color: 0xffffff, size: 0.05, transparent: true, opacity: dustParticles?.material.opacity ?? 0.3 });
+    dustParticles = replacePoints(dustParticles, new THREE.Points(geo, mat));
 }
 
 function toggleAutopilot() {
@@ -235,12 +469,87 @@ function toggleAutopilot() {
     const btn = document.getElementById('autopilot-btn');
     btn.innerText = `AUTOPILOT: ${isAutopilot ? 'ON' : 'OFF'}`;
     btn.style.color = isAutopilot ? '#00ff88' : 'white';
+    tourPlayer = null;
     if (isAutopilot) {
-        autopilotTime = 0;
-        autopilotContentTimer = 0;
+        if (recorder) toggleRecording();
+        flight = null;
+        tourPlayer = createTourPlayer(tours[tourIndex], { works: collection.available().map(w => w.id), onWork: showWork, rand: random });
+        tourPlayer.start();
     }
 }
 
+// Built-in orbit, then ?tour=tours/close-reading.json, then tours recorded in this browser
+async function initTours() {
+    loadSavedTours().forEach(json => {
+        try { tours.push(normalizeTour(json)); } catch (e) { console.warn('Saved tour skipped:', e.message); }
+    });
+    const url = urlParams.get('tour');
+    if (url) {
+        try {
+            const res = await fetch(url, { cache: 'no-cache' });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            tours.splice(1, 0, normalizeTour(await res.json()));
+            tourIndex = 1;
+        } catch (e) {
+            console.warn(`Tour ${url} failed to load:`, e);
+            showStatus(`TOUR: ${e.message}`);
+        }
+    }
+    updateTourUI();
+}
+
+function cycleTour() {
+    tourIndex = (tourIndex + 1) % tours.length;
+    updateTourUI();
+    if (isAutopilot) { toggleAutopilot(); toggleAutopilot(); }
+}
+
+function updateTourUI() {
+    const btn = document.getElementById('tour-btn');
+    if (btn) btn.innerText = `TOUR: ${tours[tourIndex].name.toUpperCase()}`;
+}
+
+function showWork(id) {
+    if (!collection.select(id)) return;
+    lastStep = 1;
+    updateUI();
+    loadContent();
+}
+
+// REC: captures camera + OrbitControls target while the visitor flies; stopping saves it as a tour
+function toggleRecording() {
+    const btn = document.getElementById('rec-btn');
+    if (!recorder) {
+        if (isAutopilot) toggleAutopilot();
+        recorder = createPathRecorder();
+        btn.innerText = '■ STOP';
+        btn.classList.add('recording');
+        return;
+    }
+    const json = recorder.finish();
+    recorder = null;
+    btn.innerText = '● REC';
+    btn.classList.remove('recording');
+    try {
+        tours.push(normalizeTour(json));
+    } catch (e) {
+        showStatus('REC: too short');
+        return;
+    }
+    saveTours([...loadSavedTours(), json]);
+    tourIndex = tours.length - 1;
+    updateTourUI();
+    showStatus(`✓ ${json.name}`);
+}
+
+function exportTour() {
+    const tour = tours[tourIndex];
+    const url = URL.createObjectURL(new Blob([JSON.stringify(tour, null, 2)], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url; a.download = `tour-${tour.name.replace(/[^\w-]+/g, '_')}.json`; a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 function toggleFX() {
     isDynamic = !isDynamic;
     const btn = document.getElementById('fx-dynamic');
@@ -248,52 +557,648 @@ function toggleFX() {
     btn.style.color = isDynamic ? '#00ff88' : '#ff4444';
 }
 
+// CLOCK - pause freezes every animation (lights, frames, tours, replay/scenario data); ▶❘ advances one 60 Hz frame
+function toggleClock() {
+    clock.toggle();
+    updateClockUI();
+}
+
+function stepClock() {
+    clock.step(1 / 60);
+    updateClockUI();
+}
+
+function cycleClockSpeed() {
+    clock.setSpeed(CLOCK_SPEEDS[(CLOCK_SPEEDS.indexOf(clock.speed) + 1) % CLOCK_SPEEDS.length]);
+    updateClockUI();
+}
+
+function updateClockUI() {
+    document.getElementById('clock-btn').innerText = clock.paused ? '▶' : '❚❚';
+    document.getElementById('clock-speed-btn').innerText = `${clock.speed}×`;
+}
+
+// SOUND - the space-weather drone starts only from a click or key press; on / off and volume are remembered
+function toggleAudio() {
+    if (sonification.started && !sonification.muted) {
+        sonification.setMuted(true);
+        audioSettings.enabled = false;
+    } else {
+        startAudio();
+    }
+    saveAudioSettings(audioSettings);
+    updateAudioUI();
+}
+
+function startAudio() {
+    try {
+        sonification.setMuted(false);
+        sonification.start().catch(e => console.warn('Audio did not start:', e));
+        audioSettings.enabled = true;
+    } catch (e) {
+        console.warn(e);
+        showStatus('NO AUDIO');
+    }
+}
+
+// Waits for the first gesture anywhere (the sound button handles its own click)
+function armAudio() {
+    const arm = (e) => {
+        if (e.target?.closest?.('#audio-btn')) return;
+        window.removeEventListener('pointerup', arm);
+        window.removeEventListener('keydown', arm);
+        if (!sonification.started) { startAudio(); updateAudioUI(); }
+    };
+    window.addEventListener('pointerup', arm);
+    window.addEventListener('keydown', arm);
+}
+
+function setAudioVolume(value) {
+    sonification.setVolume(Number(value));
+    audioSettings.volume = sonification.volume;
+    saveAudioSettings(audioSettings);
+}
+
+function updateAudioUI() {
+    const on = sonification.started && !sonification.muted;
+    const btn = document.getElementById('audio-btn');
+    btn.innerText = `♪ SOUND: ${on ? 'ON' : 'OFF'}`;
+    btn.style.color = on ? '#00ff88' : 'white';
+    document.getElementById('audio-volume').value = audioSettings.volume;
+}
+
+// Colour pickers set each light's base colour; NOAA's hue offset is added per frame in animate
 function updateLights() {
-    ['left', 'center', 'right'].forEach(pos => {
+    LIGHT_NAMES.forEach(pos => {
         const input = document.getElementById(`color-${pos}`);
-        if (input && lights[pos]) {
-            lights[pos].color.set(input.value);
-            input.parentElement.querySelector('.c-icon').style.background = input.value;
+        if (input) rig[pos].color = input.value;
+    });
+    applyRig();
+    lightingPanel?.render();
+}
+
+// Pushes the rig (panel, preset or pickers) to the spotlights and the bottom-strip pickers
+function applyRig() {
+    LIGHT_NAMES.forEach(pos => {
+        const light = lights[pos];
+        const user = rig[pos];
+        if (!light) return;
+        light.position.set(...user.position);
+        light.angle = user.angle;
+        light.penumbra = user.penumbra;
+        light.userData.baseColor.set(user.color);
+        light.color.set(user.color);
+        light.intensity = user.intensity;
+        const input = document.getElementById(`color-${pos}`);
+        if (input) {
+            input.value = user.color;
+            input.parentElement.querySelector('.c-icon').style.background = user.color;
         }
     });
 }
 
+async function initCollection() {
+    try {
+        const { works, rejected } = await loadManifest();
+        rejected.forEach(r => reportBroken(r.entry?.file || `#${r.index}`, r.reason));
+        collection = createCollection(works);
+        if (sharedView.work) collection.select(sharedView.work);
+    } catch (e) {
+        console.warn('Gallery manifest failed to load:', e);
+        showStatus('NO MANIFEST');
+    }
+    updateUI();
+    buildLayout(layoutKind, layoutKind !== 'single' && !sharedView.camera);
+    if (sharedView.autopilot) toggleAutopilot();
+}
+
+// VIEW LINK - the hash follows the visitor (replaceState, so Back still leaves the page)
+function currentView() {
+    return {
+        work: focused?.work?.id || collection.current()?.id,
+        camera: camera.position,
+        target: controls.target,
+        lights: LIGHT_NAMES.map(l => rig[l].color),
+        fx: isDynamic,
+        autopilot: isAutopilot,
+        params: { ...Object.fromEntries(LINK_PARAMS.filter(k => urlParams.has(k)).map(k => [k, urlParams.get(k)])), layout: layoutKind, source: dataSource?.id, seed }
+    };
+}
+
+function updateViewLink() {
+    if (!collection.works.length) return; // keep a shared link intact until its work can be resolved
+    const hash = `#${encodeView(currentView())}`;
+    if (hash !== location.hash) history.replaceState(null, '', hash);
+}
+
+function copyView() {
+    updateViewLink();
+    const link = location.href;
+    const copied = navigator.clipboard?.writeText(link);
+    if (copied) copied.then(() => showStatus('✓ LINK COPIED'), () => window.prompt('Посилання на цей вигляд:', link));
+    else window.prompt('Посилання на цей вигляд:', link);
+}
+
+// CAPTURE - Press stills and fixed-timestep tour recordings (capture.js), each with a metadata sidecar
+function captureMetadata(kind, extra) {
+    const dataTime = timeline?.scrubbing ? timeline.time : liveTime;
+    return {
+        kind,
+        capturedAt: new Date().toISOString(),
+        work: focused?.work?.id || collection.current()?.id || null,
+        view: `${location.pathname}#${encodeView(currentView())}`,
+        source: dataSource?.id || null,
+        dataTime: new Date(dataTime).toISOString(),
+        noaaData: { ...noaaData },
+        mapping: mapper.mapping.name || null,
+        seed,
+        quality: qualityTier,
+        lights: rig,
+        ...extra
+    };
+}
+
+const captureName = () => `cosmic-gallery-${focused?.work?.id || 'view'}-${new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-')}`;
+
+// Clean view: no HTML interface and no hotspot rings in the scene (those would land in the capture)
+function setCleanView(on) {
+    document.body.classList.toggle('capture-clean', on);
+    displays.forEach(d => { d.hotspots.visible = !on; });
+}
+
+// Optional (HIDE UI): the clean view for as long as a capture runs
+function setCaptureClean(on) {
+    setCleanView(on && document.getElementById('capture-clean').checked);
+}
+
+function setCaptureStatus(text) {
+    document.getElementById('capture-status').textContent = text;
+}
+
+// Still at SCALE x the canvas; the PNG embeds the metadata (iTXt "cosmic-gallery") and a .json sidecar goes with it
+async function captureStill() {
+    if (capture) return;
+    const scale = Number(document.getElementById('capture-scale').value) || 1;
+    setCaptureClean(true);
+    try {
+        const canvas = renderTiled(renderer, scene, camera, scale);
+        const metadata = captureMetadata('still', { width: canvas.width, height: canvas.height, scale: +(canvas.width / renderer.domElement.width).toFixed(3) });
+        const name = captureName();
+        downloadBlob(await embedPngText(await toPng(canvas), 'cosmic-gallery', JSON.stringify(metadata)), `${name}.png`);
+        downloadBlob(jsonBlob(metadata), `${name}.json`);
+        setCaptureStatus(`✓ ${canvas.width}×${canvas.height}`);
+        showStatus('✓ STILL');
+    } catch (e) {
+        console.warn('Still capture failed:', e);
+        setCaptureStatus(e.message);
+    } finally {
+        setCaptureClean(false);
+    }
+}
+
+const artworkLoading = () => displays.some(d => d.pending && d.pending !== d.work && !collection.isBroken(d.pending));
+
+// Everything stepScene carries from frame to frame goes back to where a fresh page starts, random stream included
+function resetScene() {
+    rng = createRandom(seed ^ 0x9e3779b9);
+    flight = null;
+    flareBurst = 0;
+    mapper.set(mapper.mapping);
+    aurora.reset();
+    [starField, dustParticles].forEach(p => { if (p) { p.position.set(0, 0, 0); p.rotation.set(0, 0, 0); } });
+    if (focused) {
+        stage.position.copy(focused.group.position);
+        stage.quaternion.copy(focused.group.quaternion);
+        stage.updateMatrixWorld();
+    }
+    displays.forEach(d => {
+        d.transitioner.finish();
+        if (d.gif) d.gif.rewind();
+    });
+}
+
+// Plays the selected tour from its start, stepping the scene by exactly 1/fps per frame (scene time starts at 0),
+// and waits for incoming artwork between frames, so the same tour, data and seed give the same frames however slow the machine
+async function recordTour() {
+    if (capture) { capture.cancelled = true; return; }
+    const fps = Math.max(1, Math.min(120, Number(document.getElementById('capture-fps').value) || 30));
+    const seconds = Math.max(1, Number(document.getElementById('capture-seconds').value) || tourPlayer?.tour.path.duration || 10);
+    const format = document.getElementById('capture-format').value;
+    const name = captureName();
+    const btn = document.getElementById('capture-rec-btn');
+
+    let writer;
+    try {
+        writer = await createSequenceWriter({ format, canvas: renderer.domElement, fps, name });
+    } catch (e) {
+        setCaptureStatus(e.message);
+        return;
+    }
+
+    if (isAutopilot) toggleAutopilot();
+    resetScene();
+    toggleAutopilot(); // restart the tour from t = 0
+    capture = { cancelled: false };
+    const metadata = captureMetadata('sequence', { format, fps, tour: tours[tourIndex].name, width: renderer.domElement.width, height: renderer.domElement.height });
+    btn.classList.add('recording');
+    setCaptureClean(true);
+
+    const total = Math.round(seconds * fps);
+    let frame = 0;
+    try {
+        for (; frame < total && !capture.cancelled; frame++) {
+            stepScene(frame / fps, 1 / fps);
+            if (artworkLoading()) {
+                writer.pause();
+                for (let waited = 0; artworkLoading() && waited < 10000; waited += 50) await new Promise(r => setTimeout(r, 50));
+                writer.resume();
+            }
+            renderer.render(scene, camera);
+            await writer.add();
+            btn.textContent = `■ ${frame + 1}/${total}`;
+        }
+        await writer.finish({ ...metadata, frames: frame, duration: +(frame / fps).toFixed(3) });
+        setCaptureStatus(`✓ ${frame} frames · ${format.toUpperCase()}`);
+    } catch (e) {
+        console.warn('Tour recording failed:', e);
+        setCaptureStatus(e.message);
+    } finally {
+        capture = null;
+        setCaptureClean(false);
+        btn.classList.remove('recording');
+        btn.textContent = '● RECORD TOUR';
+    }
+}
+
+// Hangs the collection: walls from the layout, then one display per slot, each loading its work
+function buildLayout(kind, fly = true) {
+    clearLayout();
+    layoutKind = kind;
+    layoutGroup = new THREE.Group();
+    scene.add(layoutGroup);
+
+    const works = kind === 'single' ? [collection.current()] : collection.available();
+    const { slots, walls } = computeLayout(kind, works.length);
+
+    const wallMat = new THREE.MeshStandardMaterial({ color: 0x050505 });
+    walls.forEach(w => {
+        const wall = new THREE.Mesh(new THREE.BoxGeometry(w.width, w.height, 1), wallMat);
+        wall.position.set(w.x, w.y, w.z); wall.rotation.y = w.rotationY;
+        layoutGroup.add(wall);
+    });
+    galleryWall = layoutGroup.children[0] || null;
+    if (kind === 'single') createCurtains();
+
+    displays = slots.map(slot => createVolumetricDisplay(slot, kind !== 'single'));
+    works.forEach((work, i) => { if (work) loadWork(displays[i], work); });
+    focusDisplay(displayFor(collection.current()) || displays[0], fly);
+
+    const btn = document.getElementById('layout-btn');
+    if (btn) btn.innerText = `LAYOUT: ${kind.toUpperCase()}`;
+}
+
+function clearLayout() {
+    if (!layoutGroup) return;
+    displays.forEach(d => {
+        d.disposed = true;
+        d.transitioner.finish();
+        d.plaque.material.map.dispose();
+        releaseArtwork({ texture: d.artwork.material.map, gif: d.gif });
+    });
+    layoutGroup.traverse(o => {
+        if (o.isMesh) { o.geometry.dispose(); o.material.dispose(); }
+        if (o.isLight) o.dispose();
+    });
+    scene.remove(layoutGroup);
+    layoutGroup = null;
+    displays = [];
+    focused = null;
+}
+
+function cycleLayout() {
+    buildLayout(LAYOUTS[(LAYOUTS.indexOf(layoutKind) + 1) % LAYOUTS.length]);
+}
+
+function scheduleRelayout() {
+    clearTimeout(relayoutTimer);
+    relayoutTimer = setTimeout(() => buildLayout(layoutKind), 300);
+}
+
+function displayFor(work) {
+    return work ? displays.find(d => d.pending === work) : null;
+}
+
 function loadContent() {
-    const filename = `${currentIndex}.${currentType}`;
-    new THREE.TextureLoader().load(filename,
-        (t) => { artwork.material.map = t; artwork.material.color.set(0xffffff); artwork.material.needsUpdate = true; },
+    closeHotspot();
+    const work = collection.current();
+    if (!work) return;
+    if (layoutKind === 'single') loadWork(displays[0], work);
+    else focusDisplay(displayFor(work));
+}
+
+function loadWork(display, work) {
+    display.pending = work;
+    // An empty frame takes the manifest's aspect right away, so the wall is hung before the image arrives
+    if (!display.work && work.aspect) applyFraming(display, work, work.aspect);
+    const stale = () => display.disposed || display.pending !== work;
+    if (work.type === 'gif') {
+        loadGif(work.file).then(
+            (gif) => {
+                if (stale()) { gif.dispose(); return; }
+                setArtwork(display, work, gif.texture, gif, gif.width / gif.height);
+            },
+            (e) => skipBroken(work, e.message)
+        );
+        return;
+    }
+    new THREE.TextureLoader().load(work.file,
+        (t) => {
+            if (stale()) { t.dispose(); return; }
+            setArtwork(display, work, t, null, t.image.width / t.image.height);
+        },
         undefined,
-        () => generatePlaceholder(filename)
+        () => skipBroken(work, 'failed to load')
     );
 }
 
-function generatePlaceholder(name) {
-    const canvas = document.createElement('canvas'); canvas.width = 512; canvas.height = 512;
-    const ctx = canvas.getContext('2d');
-    ctx.fillStyle = '#050505'; ctx.fillRect(0, 0, 512, 512);
-    ctx.strokeStyle = '#222'; ctx.lineWidth = 15; ctx.strokeRect(40, 40, 432, 432);
-    ctx.fillStyle = '#444'; ctx.font = 'bold 36px Arial'; ctx.textAlign = 'center';
-    ctx.fillText(name.toUpperCase(), 256, 256);
-    artwork.material.map = new THREE.CanvasTexture(canvas); artwork.material.needsUpdate = true;
+// The incoming texture is fully loaded/decoded before we get here, so the blend never shows a blank frame
+function setArtwork(display, work, texture, gif, aspect) {
+    const { artwork } = display;
+    const outgoing = { texture: artwork.material.map, gif: display.gif };
+    const oldScale = artwork.scale.clone();
+    applyFraming(display, work, aspect);
+
+    const hadMap = !!artwork.material.map;
+    display.work = work;
+    display.gif = gif;
+    labelDisplay(display);
+    artwork.material.map = texture; artwork.material.color.set(0xffffff);
+    if (!hadMap) artwork.material.needsUpdate = true;
+
+    display.transitioner.start(outgoing, resolveTransition(transitionStyle, noaaData),
+        { x: artwork.scale.x / oldScale.x, y: artwork.scale.y / oldScale.y });
+    if (display === focused) updateGifControls();
+}
+
+// Plaque text and hotspot rings for the display's work (rings sit on the image as sized by applyFraming)
+function labelDisplay(display) {
+    const { plaque, hotspots, artwork, work } = display;
+    drawPlaque(plaque.material.map.image, work);
+    plaque.material.map.needsUpdate = true;
+    plaque.visible = true;
+
+    hotspots.children.slice().forEach(m => { hotspots.remove(m); m.geometry.dispose(); m.material.dispose(); });
+    work.hotspots.forEach(h => {
+        const ring = new THREE.Mesh(new THREE.RingGeometry(0.06, 0.09, 32),
+            new THREE.MeshBasicMaterial({ color: 0x00ffcc, transparent: true, opacity: 0.85, depthWrite: false }));
+        ring.position.set((h.x - 0.5) * artwork.scale.x, (0.5 - h.y) * artwork.scale.y, 0);
+        hotspots.add(ring);
+    });
+}
+
+function releaseArtwork({ texture, gif }) {
+    if (gif) gif.dispose();
+    else if (texture) texture.dispose();
+}
+
+function cycleTransition() {
+    transitionStyle = TRANSITION_STYLES[(TRANSITION_STYLES.indexOf(transitionStyle) + 1) % TRANSITION_STYLES.length];
+    document.getElementById('transition-btn').innerText = `TRANS: ${transitionStyle.toUpperCase()}`;
 }
 
-function nextContent() { currentIndex++; if (currentIndex > 13) { currentIndex = 1; currentType = currentType == 'jpg' ? 'gif' : 'jpg'; } updateUI(); loadContent(); }
-function prevContent() { currentIndex--; if (currentIndex < 1) { currentIndex = 13; currentType = currentType == 'jpg' ? 'gif' : 'jpg'; } updateUI(); loadContent(); }
-function randomContent() { currentIndex = Math.floor(Math.random() * 13) + 1; currentType = Math.random() > 0.5 ? 'jpg' : 'gif'; updateUI(); loadContent(); }
-function updateUI() { document.getElementById('current-type').innerText = currentType.toUpperCase(); document.getElementById('current-index').innerText = `${currentIndex}/13`; }
+// Resize artwork, passe-partout and reactive frame to the work's real proportions
+function applyFraming(display, work, aspect) {
+    const layout = computeFraming(aspect, work);
+    const { artwork, passePartout, frame, target } = display;
+
+    artwork.scale.set(layout.image.width, layout.image.height, 1);
+
+    passePartout.visible = !!layout.mat;
+    if (layout.mat) {
+        passePartout.scale.set(layout.mat.width, layout.mat.height, 1);
+        passePartout.position.y = HANG_Y + layout.mat.offsetY;
+        passePartout.material.color.set(layout.mat.color);
+    }
+
+    frame.scale.set(layout.frame.width, layout.frame.height, 1);
+    display.plaque.position.x = layout.frame.width / 2 + PLAQUE.gap + PLAQUE.width / 2;
+    frame.userData.baseY = HANG_Y + layout.frame.offsetY;
+    frame.position.y = frame.userData.baseY;
+    target.position.y = frame.userData.baseY;
+}
+
+// Points the theatrical lights (and the camera, unless told otherwise) at a hung display
+function focusDisplay(display, fly = true) {
+    if (!display) return;
+    focused = display;
+    ['left', 'center', 'right'].forEach(l => { if (lights[l]) lights[l].target = display.target; });
+    if (fly && !isAutopilot) flyTo(display);
+    updateGifControls();
+}
+
+function viewpointFor(display) {
+    display.group.updateMatrixWorld();
+    return {
+        position: new THREE.Vector3(0, PLAYER_HEIGHT + 0.5, VIEW_DISTANCE).applyMatrix4(display.group.matrixWorld),
+        target: new THREE.Vector3(0, PLAYER_HEIGHT + 0.5, 0).applyMatrix4(display.group.matrixWorld)
+    };
+}
+
+function flyTo(display, duration = 2) {
+    const view = viewpointFor(display);
+    flight = { fromPos: camera.position.clone(), toPos: view.position, fromTarget: controls.target.clone(), toTarget: view.target, t: 0, duration };
+}
+
+function toggleGif() { if (focused?.gif) { focused.gif.toggle(); updateGifControls(); } }
+function stepGif(count = 1) { if (focused?.gif) { focused.gif.step(count); updateGifControls(); } }
+function updateGifControls() {
+    const box = document.getElementById('gif-controls');
+    const gif = focused?.gif;
+    if (!box) return;
+    box.style.display = gif ? 'flex' : 'none';
+    if (gif) {
+        document.getElementById('gif-play').innerText = gif.paused ? '▶' : '❚❚';
+        document.getElementById('gif-frame').innerText = `${gif.frameIndex + 1}/${gif.frameCount}`;
+    }
+}
+
+// Missing or broken works are dropped from navigation and we move on in the same direction
+function skipBroken(work, reason) {
+    if (collection.isBroken(work)) return;
+    reportBroken(work.file, reason);
+    const wasCurrent = work === collection.current();
+    collection.markBroken(work);
+    if (wasCurrent) collection.step(lastStep);
+    updateUI();
+    if (layoutKind !== 'single') scheduleRelayout();
+    else if (wasCurrent) loadContent();
+}
+
+function reportBroken(file, reason) {
+    console.warn(`🖼️ Skipping ${file}: ${reason}`);
+    showStatus(`SKIP ${file}`);
+}
+
+function showStatus(text) {
+    const el = document.getElementById('gallery-status');
+    if (!el) return;
+    el.textContent = text;
+    el.style.opacity = '1';
+    clearTimeout(statusTimer);
+    statusTimer = setTimeout(() => el.style.opacity = '0', 3000);
+}
+
+function nextContent() { lastStep = 1; collection.next(); updateUI(); loadContent(); }
+function prevContent() { lastStep = -1; collection.prev(); updateUI(); loadContent(); }
+function randomContent() { lastStep = 1; collection.random(random); updateUI(); loadContent(); }
+function updateUI() {
+    const work = collection.current();
+    const { index, total } = collection.position();
+    document.getElementById('current-type').innerText = work ? work.type.toUpperCase() : '---';
+    document.getElementById('current-index').innerText = `${index}/${total}`;
+    document.querySelector('.g-info').title = work ? [work.title, work.artist, work.year].filter(Boolean).join(' · ') : '';
+    updateInfoPanel(work);
+}
+
+// INFO CARD - The current work's label as HTML, with its hotspots as shortcuts
+function updateInfoPanel(work) {
+    document.getElementById('info-title').textContent = work ? work.title || work.file : '---';
+    document.getElementById('info-meta').textContent = work ? [plaqueCaption(work), work.medium].filter(Boolean).join(' · ') : '';
+    document.getElementById('info-description').textContent = work?.description || '';
+    const list = document.getElementById('info-hotspots');
+    list.innerHTML = '';
+    (work?.hotspots || []).forEach(h => {
+        const btn = document.createElement('button');
+        btn.className = 'strip-btn';
+        btn.textContent = `◉ ${h.title || h.note}`;
+        btn.addEventListener('click', () => {
+            const display = displays.find(d => d.work === work);
+            if (display) flyToHotspot(display, h);
+        });
+        list.appendChild(btn);
+    });
+}
+
+// HOTSPOTS - The artwork plane under the pointer (image fractions from the top-left) and the hotspot there, if any
+function pickArtwork(e) {
+    pointer.set((e.clientX / window.innerWidth) * 2 - 1, -(e.clientY / window.innerHeight) * 2 + 1);
+    raycaster.setFromCamera(pointer, camera);
+    const hit = raycaster.intersectObjects(displays.map(d => d.artwork))[0];
+    const display = hit && displays.find(d => d.artwork === hit.object);
+    if (!display?.work) return null;
+    const point = { x: hit.uv.x, y: 1 - hit.uv.y };
+    const hotspot = display.hotspots.visible ? hotspotAt(display.work.hotspots, point, { width: hit.object.scale.x, height: hit.object.scale.y }) : null;
+    return { display, point, hotspot };
+}
+
+// Flies into macro range in front of the hotspot (autopilot hands over) and opens its note
+function flyToHotspot(display, hotspot) {
+    if (isAutopilot) toggleAutopilot();
+    if (display !== focused) {
+        collection.select(display.work);
+        updateUI();
+        focusDisplay(display, false);
+    }
+    const { artwork } = display;
+    artwork.updateMatrixWorld();
+    const point = new THREE.Vector3(hotspot.x - 0.5, 0.5 - hotspot.y, 0).applyMatrix4(artwork.matrixWorld);
+    const normal = new THREE.Vector3(0, 0, 1).transformDirection(artwork.matrixWorld);
+    flight = { fromPos: camera.position.clone(), toPos: point.clone().addScaledVector(normal, hotspot.distance), fromTarget: controls.target.clone(), toTarget: point, t: 0, duration: 1.5 };
+
+    document.getElementById('hotspot-title').textContent = `◉ ${hotspot.title || 'DETAIL'}`;
+    document.getElementById('hotspot-note').textContent = hotspot.note;
+    document.getElementById('hotspot-panel').classList.add('open');
+}
+
+function toggleInfoPanel() {
+    document.getElementById('info-panel').classList.toggle('open');
+}
+
+function closeHotspot() {
+    document.getElementById('hotspot-panel').classList.remove('open');
+}
+
+// Back out of a close-up to the work's usual viewpoint
+function leaveHotspot() {
+    closeHotspot();
+    if (focused) flyTo(focused);
+}
 
 function createStars() {
+    const rand = createRandom(seed);
     const starGeo = new THREE.BufferGeometry();
-    const count = 20000;
+    const count = QUALITY_SETTINGS[qualityTier].stars;
     const pos = new Float32Array(count * 3);
     for (let i = 0; i < count; i++) {
-        pos[i * 3] = (Math.random() - 0.5) * 1500;
-        pos[i * 3 + 1] = (Math.random() - 0.5) * 1500;
-        pos[i * 3 + 2] = (Math.random() - 0.5) * 1500;
+        pos[i * 3] = (rand() - 0.5) * 1500;
+        pos[i * 3 + 1] = (rand() - 0.5) * 1500;
+        pos[i * 3 + 2] = (rand() - 0.5) * 1500;
     }
     starGeo.setAttribute('position', new THREE.BufferAttribute(pos, 3));
-    starField = new THREE.Points(starGeo, new THREE.PointsMaterial({ color: 0xffffff, size: 0.8, transparent: true, opacity: 0.4 }));
-    scene.add(starField);
+    starField = replacePoints(starField, new THREE.Points(starGeo, new THREE.PointsMaterial({ color: 0xffffff, size: 0.8, transparent: true, opacity: 0.4 })));
+}
+
+// QUALITY TIERS - particles, shadows and pixel ratio switch live; an antialiasing change rebuilds the renderer
+function setQuality(tier) {
+    const rebuild = QUALITY_SETTINGS[tier].antialias !== QUALITY_SETTINGS[qualityTier].antialias;
+    qualityTier = tier;
+    if (rebuild) {
+        createRenderer();
+        createControls();
+    } else {
+        applyRendererQuality();
+    }
+    applyShadowQuality();
+    // Shadow on/off and filtering are compiled into the materials
+    scene.traverse(o => { [].concat(o.material || []).forEach(m => { m.needsUpdate = true; }); });
+    createStars();
+    createSpaceDust();
+    frameMonitor.reset();
+    updateQualityUI();
+}
+
+function guessDeviceTier() {
+    return guessTier({
+        coarsePointer: window.matchMedia?.('(pointer: coarse)').matches,
+        cores: navigator.hardwareConcurrency,
+        memory: navigator.deviceMemory
+    });
+}
+
+// Auto mode only: sustained slow frames drop one tier (never below low, never back up on its own)
+function stepQualityDown(frameTime) {
+    if (qualityMode !== 'auto' || qualityTier === 'low' || capture) return;
+    console.warn(`Frames averaging ${frameTime.toFixed(1)} ms, quality ${qualityTier} -> ${lowerTier(qualityTier)}`);
+    setQuality(lowerTier(qualityTier));
+    showStatus(`QUALITY: ${qualityTier.toUpperCase()}`);
+}
+
+// AUTO -> LOW -> MEDIUM -> HIGH -> ULTRA; the choice is remembered in this browser
+function cycleQuality() {
+    if (capture) return;
+    const modes = ['auto', ...QUALITY_TIERS];
+    qualityMode = modes[(modes.indexOf(qualityMode) + 1) % modes.length];
+    localStorage.setItem(QUALITY_STORAGE_KEY, qualityMode);
+    setQuality(qualityMode === 'auto' ? guessDeviceTier() : qualityMode);
+}
+
+function updateQualityUI() {
+    document.getElementById('quality-btn').innerText = qualityMode === 'auto' ? `QUALITY: AUTO · ${qualityTier.toUpperCase()}` : `QUALITY: ${qualityTier.toUpperCase()}`;
+}
+
+function toggleQualityHud() {
+    const hud = document.getElementById('quality-hud');
+    hud.classList.toggle('open');
+    clearInterval(hudTimer);
+    if (!hud.classList.contains('open')) return;
+    const render = () => {
+        const s = QUALITY_SETTINGS[qualityTier];
+        hud.textContent = `${Math.round(frameMonitor.fps)} FPS · ${frameMonitor.frameTime.toFixed(1)} ms\n`
+            + `${qualityTier.toUpperCase()}${qualityMode === 'auto' ? ' (AUTO)' : ''} · ×${renderer.getPixelRatio()} · ${s.antialias ? 'AA' : 'NO AA'}\n`
+            + `${s.stars} stars · ${s.dust} dust · ${s.shadows ? `shadows ${s.shadowMapSize}² ${s.shadowType.toUpperCase()}` : 'no shadows'}`;
+    };
+    render();
+    hudTimer = setInterval(render, 500);
 }
 
 function createFloor() {
@@ -301,12 +1206,15 @@ function createFloor() {
     floor.rotation.x = -Math.PI / 2; floor.receiveShadow = true; scene.add(floor);
 }
 
-function createVolumetricDisplay(pos) {
-    const wall = new THREE.Mesh(new THREE.BoxGeometry(18, 14, 1), new THREE.MeshStandardMaterial({ color: 0x050505 }));
-    wall.position.set(pos.x, pos.y + 1, pos.z - 0.8); scene.add(wall);
+// One hung work: reactive frame, passe-partout and artwork plane in a group placed at a layout slot
+function createVolumetricDisplay(slot, ownLight) {
+    const group = new THREE.Group();
+    group.position.set(slot.x, slot.y, slot.z);
+    group.rotation.y = slot.rotationY;
+    layoutGroup.add(group);
 
-    // REACTIVE FRAME - Changes with NOAA data
-    const frameGeo = new THREE.BoxGeometry(7, 5, 0.5);
+    // REACTIVE FRAME - Changes with NOAA data (unit box, scaled to each work by applyFraming)
+    const frameGeo = new THREE.BoxGeometry(1, 1, 0.5);
     const frameMat = new THREE.MeshStandardMaterial({
         color: 0x020202,
         emissive: 0x000000,
@@ -315,88 +1223,182 @@ function createVolumetricDisplay(pos) {
         metalness: 0.8
     });
     const frame = new THREE.Mesh(frameGeo, frameMat);
-    frame.position.set(pos.x, pos.y + 0.5, pos.z + 0.1);
-    scene.add(frame);
-    frame.userData.baseY = pos.y + 0.5;
+    frame.position.set(0, HANG_Y, 0.1);
+    frame.scale.set(7, 5, 1);
+    group.add(frame);
+    frame.userData.baseY = HANG_Y;
     frame.userData.material = frameMat;
 
-    // Store frame reference globally
-    window.reactiveFrame = frame;
-
-    artwork = new THREE.Mesh(new THREE.PlaneGeometry(6, 4), new THREE.MeshStandardMaterial({ emissive: 0xffffff, emissiveIntensity: 0.02 }));
-    artwork.position.set(pos.x, pos.y + 0.5, pos.z + 0.36); artwork.castShadow = true; scene.add(artwork);
+    // PASSE-PARTOUT - Optional per-work mat between frame and image
+    const passePartout = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), new THREE.MeshStandardMaterial({ color: 0xf2efe6, roughness: 0.9 }));
+    passePartout.position.set(0, HANG_Y, 0.355); passePartout.receiveShadow = true; passePartout.visible = false;
+    group.add(passePartout);
+
+    const artwork = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), new THREE.MeshStandardMaterial({ emissive: 0xffffff, emissiveIntensity: 0.02 }));
+    artwork.position.set(0, HANG_Y, 0.36); artwork.scale.set(6, 4, 1); artwork.castShadow = true; group.add(artwork);
+
+    // Aim point for the lights, kept on the frame centre by applyFraming
+    const target = new THREE.Object3D();
+    target.position.set(0, HANG_Y, 0.36);
+    group.add(target);
+
+    // PLAQUE - Wall label beside the frame at eye level, redrawn for each work by labelDisplay
+    const plaqueTexture = new THREE.CanvasTexture(document.createElement('canvas'));
+    plaqueTexture.colorSpace = THREE.SRGBColorSpace;
+    const plaque = new THREE.Mesh(new THREE.PlaneGeometry(PLAQUE.width, PLAQUE.height),
+        new THREE.MeshStandardMaterial({ map: plaqueTexture, emissive: 0xffffff, emissiveMap: plaqueTexture, emissiveIntensity: 0.25, roughness: 0.6 }));
+    plaque.position.set(frame.scale.x / 2 + PLAQUE.gap + PLAQUE.width / 2, PLAYER_HEIGHT, 0);
+    plaque.visible = false;
+    group.add(plaque);
+
+    // HOTSPOT MARKERS - Rings on the image surface, one per curator note
+    const hotspots = new THREE.Group();
+    hotspots.position.set(0, HANG_Y, 0.37);
+    hotspots.visible = !document.body.classList.contains('capture-clean');
+    group.add(hotspots);
+
+    const display = { group, frame, passePartout, artwork, target, plaque, hotspots, light: null, gif: null, work: null, pending: null, disposed: false };
+    display.transitioner = createTransitioner(artwork.material, releaseArtwork, random);
+
+    // Multi-work rooms give every piece its own picture light (no shadows, the stage lights cast those)
+    if (ownLight) {
+        const light = new THREE.SpotLight(0xfff2e0, 250);
+        light.position.set(0, HANG_Y + 5, 5);
+        light.target = target;
+        light.angle = 0.4;
+        light.penumbra = 0.8;
+        light.decay = 1.2;
+        light.distance = 25;
+        group.add(light);
+        display.light = light;
+    }
+    return display;
 }
 
 function createCurtains() {
     const mat = new THREE.MeshStandardMaterial({ color: 0x040202, side: THREE.DoubleSide });
     const left = new THREE.Mesh(new THREE.PlaneGeometry(12, 25), mat);
-    left.position.set(-13, 8, 5); left.rotation.y = Math.PI / 3; scene.add(left);
+    left.position.set(-13, 8, 5); left.rotation.y = Math.PI / 3; layoutGroup.add(left);
     const right = new THREE.Mesh(new THREE.PlaneGeometry(12, 25), mat);
-    right.position.set(13, 8, 5); right.rotation.y = -Math.PI / 3; scene.add(right);
+    right.position.set(13, 8, 5); right.rotation.y = -Math.PI / 3; layoutGroup.add(right);
 }
 
-function moveCamera(dir) { moveState[dir] = true; }
-function stopCamera() { Object.keys(moveState).forEach(k => moveState[k] = false); }
+function moveCamera(dir) { input.press(dir); }
+function stopCamera() { input.release(); }
 function resetPosition() {
-    camera.position.set(0, PLAYER_HEIGHT + 0.5, 8);
-    controls.target.set(0, PLAYER_HEIGHT + 0.5, -2);
-}
-
-function setupJoystick() {
-    const thumb = document.getElementById('joystick-thumb');
-    let active = false, startX, startY;
-    if (!thumb) return;
-    thumb.addEventListener('mousedown', (e) => { active = true; startX = e.clientX; startY = e.clientY; });
-    window.addEventListener('mousemove', (e) => {
-        if (!active) return;
-        const dx = e.clientX - startX, dy = e.clientY - startY;
-        const dist = Math.min(Math.sqrt(dx * dx + dy * dy), 12);
-        const angle = Math.atan2(dy, dx);
-        thumb.style.transform = `translate(${Math.cos(angle) * dist}px, ${Math.sin(angle) * dist}px)`;
-        moveState.forward = dy < -5; moveState.backward = dy > 5; moveState.left = dx < -5; moveState.right = dx > 5;
+    if (!focused) return;
+    const view = viewpointFor(focused);
+    flight = null;
+    camera.position.copy(view.position);
+    controls.target.copy(view.target);
+}
+
+function setupInput() {
+    input = createInput({
+        moveState,
+        joystick: { base: document.getElementById('joystick-base'), thumb: document.getElementById('joystick-thumb') },
+        buttons: Array.from(document.querySelectorAll('[data-move]')),
+        onAction: (action) => {
+            if (action === 'next') nextContent();
+            else if (action === 'prev') prevContent();
+            else if (action === 'autopilot') toggleAutopilot();
+        }
+    });
+
+    // Capture shortcuts: P shoots a still, H hides / shows the interface, Esc stops a recording (or closes a hotspot note);
+    // I opens the info card
+    window.addEventListener('keydown', (e) => {
+        if (/^(INPUT|TEXTAREA|SELECT)$/.test(e.target?.tagName) || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.code === 'KeyP') captureStill();
+        else if (e.code === 'KeyH') setCleanView(!document.body.classList.contains('capture-clean'));
+        else if (e.code === 'KeyI') toggleInfoPanel();
+        else if (e.code === 'Escape' && capture) capture.cancelled = true;
+        else if (e.code === 'Escape') closeHotspot();
+    });
+
+    // Hotspots: a click (not an orbit drag) on a ring flies in; Alt+click shows the image coordinates under the pointer (for curators placing new hotspots).
+    // Listeners sit on the container because a quality change can swap the canvas
+    const container = document.getElementById('canvas-container');
+    let down = null;
+    container.addEventListener('pointerdown', (e) => { down = { x: e.clientX, y: e.clientY }; });
+    container.addEventListener('pointerup', (e) => {
+        if (!down || Math.hypot(e.clientX - down.x, e.clientY - down.y) > 5) return;
+        down = null;
+        const hit = pickArtwork(e);
+        if (hit && e.altKey) { showStatus(`${hit.display.work.id} · x ${hit.point.x.toFixed(3)} · y ${hit.point.y.toFixed(3)}`); return; }
+        if (hit?.hotspot) flyToHotspot(hit.display, hit.hotspot);
+    });
+    container.addEventListener('pointermove', (e) => {
+        if (!e.buttons) container.style.cursor = pickArtwork(e)?.hotspot ? 'pointer' : '';
     });
-    window.addEventListener('mouseup', () => { active = false; thumb.style.transform = `translate(0px, 0px)`; stopCamera(); });
 }
 
 function onWindowResize() { camera.aspect = window.innerWidth / window.innerHeight; camera.updateProjectionMatrix(); renderer.setSize(window.innerWidth, window.innerHeight); }
 function hideLoading() { const ls = document.getElementById('loading-screen'); if (ls) { ls.style.opacity = '0'; setTimeout(() => ls.style.display = 'none', 600); } }
 
 function animate() {
-    requestAnimationFrame(animate);
-    const time = Date.now() * 0.001;
-
-    // AUTOPILOT MODE - Cinematic flight
-    if (isAutopilot) {
-        autopilotTime += 0.01;
-        autopilotContentTimer += 0.016; // ~60fps
+    frameRequest = requestAnimationFrame(animate);
+    const now = performance.now();
+    if (lastFrameAt !== null && !capture) frameMonitor.sample(now - lastFrameAt);
+    const realDelta = lastFrameAt === null ? 0 : Math.min(0.1, (now - lastFrameAt) / 1000);
+    lastFrameAt = now;
+    const { time, delta } = clock.tick();
+    if (capture) return; // recordTour steps the scene itself
+    stepScene(time, delta, realDelta);
+    renderer.render(scene, camera);
+}
 
-        // Auto-switch content every 8 seconds
-        if (autopilotContentTimer >= 8) {
-            randomContent();
-            autopilotContentTimer = 0;
+// One frame of the scene at `time` (seconds), `delta` seconds after the previous one on the simulation clock;
+// `realDelta` is wall-clock seconds, for the visitor's own walking, which pause and speed leave alone
+function stepScene(time, delta, realDelta = delta) {
+    input.update();
+
+    displays.forEach(d => {
+        d.transitioner.update(delta);
+        d.hotspots.children.forEach((ring, i) => ring.scale.setScalar(1 + 0.15 * Math.sin(time * 3 + i)));
+        // GIF playback (frame delays + disposal handled by the player)
+        if (d.gif) {
+            const frame = d.gif.frameIndex;
+            d.gif.update(delta);
+            if (d === focused && frame !== d.gif.frameIndex) updateGifControls();
         }
+    });
 
-        // Orbital path with varying radius and height
-        const radius = 8 + Math.sin(autopilotTime * 0.3) * 3;
-        const height = PLAYER_HEIGHT + Math.sin(autopilotTime * 0.5) * 2;
-        const angle = autopilotTime * 0.15;
-
-        // Smooth orbital position
-        camera.position.x = Math.cos(angle) * radius;
-        camera.position.z = Math.sin(angle) * radius + 2;
-        camera.position.y = height;
+    // Stage glides to the focused display, taking the theatrical lights and autopilot orbit along
+    if (focused) {
+        const glide = 1 - Math.exp(-3 * delta); // ~5% per frame at 60 fps, on the simulation clock
+        stage.position.lerp(focused.group.position, glide);
+        stage.quaternion.slerp(focused.group.quaternion, glide);
+        stage.updateMatrixWorld();
+    }
 
-        // Dynamic target with slight drift
-        const targetX = Math.sin(autopilotTime * 0.2) * 0.5;
-        const targetY = PLAYER_HEIGHT + 0.5 + Math.cos(autopilotTime * 0.3) * 0.3;
-        const targetZ = -2 + Math.sin(autopilotTime * 0.25) * 0.2;
+    // AUTOPILOT MODE - Cinematic flight along the selected tour (real clock delta, so any refresh rate keeps time)
+    if (isAutopilot && tourPlayer) {
+        const pose = tourPlayer.update(delta);
+        camera.position.copy(pose.position);
+        controls.target.copy(pose.target);
 
-        controls.target.set(targetX, targetY, targetZ);
+        // Stage-space tours follow the focused display; world-space ones (recorded flights) stay put
+        if (tourPlayer.space === 'stage') {
+            camera.position.applyMatrix4(stage.matrixWorld);
+            controls.target.applyMatrix4(stage.matrixWorld);
+        }
     } else {
         // Manual camera movement - straight direction without orbit
         const moveVector = new THREE.Vector3();
+        const isMoving = input.isMoving();
+
+        // Camera flight to a hung piece (nextContent/prevContent in multi-work layouts); manual input takes over
+        if (flight && isMoving) flight = null;
+        if (flight) {
+            flight.t = Math.min(1, flight.t + delta / flight.duration);
+            const k = flight.t * flight.t * (3 - 2 * flight.t);
+            camera.position.lerpVectors(flight.fromPos, flight.toPos, k);
+            controls.target.lerpVectors(flight.fromTarget, flight.toTarget, k);
+            if (flight.t >= 1) flight = null;
+        }
 
-        if (moveState.forward || moveState.backward || moveState.left || moveState.right || moveState.up || moveState.down) {
+        if (isMoving) {
             const dir = new THREE.Vector3();
             camera.getWorldDirection(dir);
             dir.y = 0; // Keep horizontal for forward/back/left/right
@@ -404,109 +1406,115 @@ function animate() {
 
             const side = new THREE.Vector3().crossVectors(camera.up, dir).normalize();
 
-            if (moveState.forward) moveVector.addScaledVector(dir, moveSpeed);
-            if (moveState.backward) moveVector.addScaledVector(dir, -moveSpeed);
-            if (moveState.left) moveVector.addScaledVector(side, moveSpeed);
-            if (moveState.right) moveVector.addScaledVector(side, -moveSpeed);
+            // Analog: half-tilted stick or joystick = half speed
+            moveVector.addScaledVector(dir, moveSpeed * realDelta * (moveState.forward - moveState.backward));
+            moveVector.addScaledVector(side, moveSpeed * realDelta * (moveState.left - moveState.right));
 
             // Vertical movement - pure up/down without changing view angle
-            if (moveState.up) moveVector.y += moveSpeed;
-            if (moveState.down) moveVector.y -= moveSpeed;
+            moveVector.y += moveSpeed * realDelta * (moveState.up - moveState.down);
 
             camera.position.add(moveVector);
             controls.target.add(moveVector); // Move target with camera to maintain view direction
         }
     }
 
-    // NOAA-DRIVEN DYNAMICS
+    // NOAA-DRIVEN DYNAMICS (every number below comes from the mapping)
+    mapped = mapper.update(noaaData, delta);
+    if (mappingEditor.open) mappingEditor.showValues(mapped);
+
+    // Light colour: the visitor's base colour with NOAA's hue offset on top (locked lights keep theirs)
+    LIGHT_NAMES.forEach(l => {
+        const light = lights[l];
+        light.color.copy(light.userData.baseColor);
+        if (!rig[l].locked) light.color.offsetHSL((HUE_DIRECTION[l] * mapped['light.hueShift']) / 360, 0, 0);
+    });
+
     if (isDynamic) {
+        // Base intensity: SSN brightens the gallery, storms push it further; each light keeps its own level
+        LIGHT_NAMES.forEach(l => {
+            lights[l].userData.baseIntensity = rig[l].locked ? rig[l].intensity : mapped['light.intensity'] * rig[l].intensity / REFERENCE_INTENSITY;
+        });
+
         // REACTION 1: Light Breathing (Kp-driven pulsation)
-        const breathSpeed = 1.5 + (noaaData.kp / 3);
-        const breathDepth = 0.2 + (noaaData.stormLevel * 0.3);
-
-        ['left', 'center', 'right'].forEach((l, i) => {
-            if (lights[l]) {
-                const pulse = Math.sin(time * breathSpeed + i * 2) * breathDepth + (1 - breathDepth / 2);
-                lights[l].intensity = lights[l].userData.baseIntensity * pulse;
-
-                if (noaaData.recentFlare.startsWith('X')) {
-                    const flarePulse = Math.sin(time * 8) * 0.5 + 1.5;
-                    lights[l].intensity *= flarePulse;
-                } else if (noaaData.recentFlare.startsWith('M')) {
-                    const flarePulse = Math.sin(time * 5) * 0.3 + 1.2;
-                    lights[l].intensity *= flarePulse;
-                }
-            }
+        const breathSpeed = mapped['light.breathSpeed'];
+        const breathDepth = mapped['light.breathDepth'];
+
+        // Flare bursts scale with the class (X9 outshines X2.3) and fade along the flare's timing
+        flareBurst += (noaaData.flareLevel - flareBurst) * Math.min(1, delta * 2);
+        const flareWave = flareBurst * (1 + Math.sin(time * (3 + noaaData.flareScale * 2.5)));
+        const flarePulse = 1 + mapped['light.flare'] * flareWave;
+
+        LIGHT_NAMES.forEach((l, i) => {
+            if (rig[l].locked) { lights[l].intensity = rig[l].intensity; return; }
+            const pulse = Math.sin(time * breathSpeed + i * 2) * breathDepth + (1 - breathDepth / 2);
+            lights[l].intensity = lights[l].userData.baseIntensity * pulse * flarePulse;
         });
 
-        // REACTION 2: REACTIVE FRAME ANIMATIONS
-        if (window.reactiveFrame) {
-            const frame = window.reactiveFrame;
+        // Picture lights breathe with the stage, each on its own phase
+        displays.forEach((d, i) => {
+            if (!d.light || !lights.center) return;
+            const pulse = Math.sin(time * breathSpeed + i * 0.9) * breathDepth + (1 - breathDepth / 2);
+            d.light.intensity = lights.center.userData.baseIntensity * 0.3 * pulse * flarePulse;
+        });
+
+        // REACTION 2: REACTIVE FRAME ANIMATIONS (every hung frame, phase-shifted so a room shimmers rather than blinks)
+        displays.forEach((d, i) => {
+            const frame = d.frame;
             const mat = frame.userData.material;
+            const t = time + i * 0.7;
 
-            // Color Mode based on Bz (magnetic field direction)
-            if (noaaData.bz < -5) {
-                // Strong southward = Red/Orange glow (geomagnetic storm warning)
-                mat.emissive.setHex(0xff3300);
-                mat.emissiveIntensity = 0.3 + Math.sin(time * 2) * 0.2;
-            } else if (noaaData.bz > 5) {
-                // Strong northward = Blue/Cyan calm
-                mat.emissive.setHex(0x0066ff);
-                mat.emissiveIntensity = 0.15 + Math.sin(time * 1) * 0.1;
-            } else if (noaaData.kp > 5) {
-                // High Kp = Purple storm mode
-                mat.emissive.setHex(0x9933ff);
-                mat.emissiveIntensity = 0.4 + Math.sin(time * 3) * 0.3;
-            } else if (noaaData.ssn > 100) {
-                // High solar activity = Golden glow
-                mat.emissive.setHex(0xffaa00);
-                mat.emissiveIntensity = 0.2 + Math.sin(time * 1.5) * 0.15;
-            } else {
-                // Calm state = subtle cyan
-                mat.emissive.setHex(0x003344);
-                mat.emissiveIntensity = 0.05 + Math.sin(time * 0.5) * 0.05;
+            // Color mode from the frame.emissive rules (default: Bz storm red, Bz calm blue, Kp purple, SSN gold, cyan)
+            const glow = mapped['frame.emissive'];
+            if (glow) {
+                mat.emissive.setRGB(glow.color[0], glow.color[1], glow.color[2], THREE.SRGBColorSpace);
+                mat.emissiveIntensity = glow.intensity + Math.sin(t * glow.speed) * glow.pulse;
             }
 
             // Vibration from radiation
-            if (noaaData.radiationLevel > 0.3) {
-                const vibration = Math.sin(time * 20) * noaaData.radiationLevel * 0.02;
-                frame.rotation.z = vibration;
-            } else {
-                frame.rotation.z = 0;
-            }
+            frame.rotation.z = Math.sin(t * 20) * mapped['frame.vibration'];
 
             // Slow drift from solar wind
-            const drift = (noaaData.solarWind - 400) / 10000;
-            frame.position.y = frame.userData.baseY + Math.sin(time * 0.3) * drift * 0.5;
-        }
+            frame.position.y = frame.userData.baseY + Math.sin(t * 0.3) * mapped['frame.drift'];
+        });
 
         // REACTION 3: Floating Space Dust
         if (dustParticles) {
-            const driftSpeed = (noaaData.solarWind - 400) / 1000;
             dustParticles.position.y = Math.sin(time * 0.5) * 0.2;
-            dustParticles.rotation.y += 0.001 + driftSpeed;
-            dustParticles.material.opacity = 0.2 + (noaaData.stormLevel * 0.3);
+            dustParticles.rotation.y += mapped['dust.spin'] * delta * 60;
+            dustParticles.material.opacity = mapped['dust.opacity'];
         }
 
         // REACTION 4: Star Flow
-        const starSpeed = 0.0003 + (noaaData.ssn / 50000);
-        starField.rotation.y += starSpeed;
-        starField.position.z += Math.sin(time) * 0.15;
+        starField.rotation.y += mapped['stars.speed'] * delta * 60;
+        starField.position.z = (1 - Math.cos(time)) * 9; // the old 0.15 * sin(time) per 60 fps frame, integrated
 
         // REACTION 5: Radiation Interference
-        if (noaaData.radiationLevel > 0.3) {
-            starField.material.opacity = 0.4 + Math.sin(time * 10) * noaaData.radiationLevel * 0.2;
-        } else {
-            starField.material.opacity = 0.4;
-        }
+        starField.material.opacity = 0.4 + Math.sin(time * 10) * mapped['stars.flicker'];
 
         // REACTION 6: Ambient Light Storm Response
-        ambientLight.intensity = 0.03 + (noaaData.stormLevel * 0.05);
+        ambientLight.intensity = mapped['ambient.intensity'];
+        scene.fog.density = mapped['fog.density'];
+
+        // REACTION 7: Aurora (Kp + southward Bz raise it, electron flux shimmers it)
+        aurora.update(delta, { strength: mapped['aurora.strength'], redness: mapped['aurora.redness'], shimmer: mapped['aurora.shimmer'] });
+
+        // REACTION 8: Sound (tremolo on the stage lights' breathing, swells on the same flare wave)
+        sonification.update(delta, {
+            pitch: mapped['audio.pitch'],
+            brightness: mapped['audio.brightness'],
+            mode: mapped['audio.mode'],
+            crackle: mapped['audio.crackle'],
+            pulse: Math.sin(time * breathSpeed) * breathDepth + (1 - breathDepth / 2),
+            swell: mapped['audio.swell'] * flareWave
+        });
 
     } else {
-        starField.rotation.y += 0.0002;
+        starField.rotation.y += 0.0002 * delta * 60;
+        aurora.update(delta, null);
+        sonification.update(delta, null);
+        LIGHT_NAMES.forEach(l => { lights[l].intensity = rig[l].intensity; });
     }
 
     controls.update();
-    renderer.render(scene, camera);
+    if (recorder) recorder.sample(delta, camera.position, controls.target, focused?.work?.id);
 }
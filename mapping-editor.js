@@ -0,0 +1,100 @@
+// MAPPING EDITOR - In-page JSON editor for the metric -> scene bindings, applied live as you type
+
+import { DEFAULT_MAPPING } from './mapping.js';
+
+export const MAPPING_STORAGE_KEY = 'cosmic-gallery.mapping';
+
+// Saved mapping from a previous visit (raw JSON, validated by the caller), or null
+export function loadSavedMapping() {
+    try {
+        return JSON.parse(localStorage.getItem(MAPPING_STORAGE_KEY) || 'null');
+    } catch (e) {
+        return null;
+    }
+}
+
+// onApply(json) returns { rejected } or throws; the editor only reports what happened
+export function createMappingEditor({ panel, textarea, status, values, onApply }) {
+    let timer = null;
+
+    textarea.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(apply, 400);
+    });
+    textarea.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) { e.preventDefault(); apply(); }
+    });
+
+    function setStatus(text, isError = false) {
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    }
+
+    function apply() {
+        clearTimeout(timer);
+        let json;
+        try {
+            json = JSON.parse(textarea.value);
+        } catch (e) {
+            setStatus(`JSON: ${e.message}`, true);
+            return null;
+        }
+        try {
+            const { rejected } = onApply(json);
+            if (rejected.length) setStatus(rejected.map(r => `#${r.index}: ${r.reason}`).join('\n'), true);
+            else setStatus('✓ applied');
+            return json;
+        } catch (e) {
+            setStatus(e.message, true);
+            return null;
+        }
+    }
+
+    function show(json) {
+        textarea.value = JSON.stringify(json, null, 2);
+    }
+
+    function save() {
+        const json = apply();
+        if (!json) return;
+        localStorage.setItem(MAPPING_STORAGE_KEY, JSON.stringify(json));
+        setStatus('✓ saved in this browser');
+    }
+
+    function exportJson() {
+        const json = apply();
+        if (!json) return;
+        const url = URL.createObjectURL(new Blob([JSON.stringify(json, null, 2)], { type: 'application/json' }));
+        const a = document.createElement('a');
+        a.href = url; a.download = 'mapping.json'; a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function reset() {
+        localStorage.removeItem(MAPPING_STORAGE_KEY);
+        show(DEFAULT_MAPPING);
+        apply();
+    }
+
+    // Live readout of every target, so a curator sees what a binding does
+    function showValues(mapped) {
+        if (!isOpen()) return;
+        values.textContent = Object.entries(mapped)
+            .map(([name, v]) => `${name.padEnd(18)} ${v === null ? '--' : typeof v === 'number' ? +v.toFixed(4) : `rgb(${v.color.map(c => Math.round(c * 255)).join(',')}) ${+v.intensity.toFixed(2)}`}`)
+            .join('\n');
+    }
+
+    const isOpen = () => panel.classList.contains('open');
+
+    return {
+        show,
+        apply,
+        save,
+        export: exportJson,
+        reset,
+        showValues,
+        setStatus,
+        toggle() { panel.classList.toggle('open'); },
+        get open() { return isOpen(); }
+    };
+}
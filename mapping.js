@@ -0,0 +1,228 @@
+// MAPPING - Declarative bindings from space-weather metrics to scene parameters (curves, clamps, smoothing)
+
+// Every parameter the scene reads; value = what it gets with no bindings, range = hard clamp
+export const MAPPING_TARGETS = {
+    'light.intensity': { value: 800, range: [0, 20000], label: 'Stage light base intensity' },
+    'light.hueShift': { value: 0, label: 'Key/rim hue shift, degrees (key -, rim +)' },
+    'light.breathSpeed': { value: 1.5, range: [0, 50], label: 'Light breathing speed' },
+    'light.breathDepth': { value: 0.2, range: [0, 1], label: 'Light breathing depth' },
+    'light.flare': { value: 0, range: [0, 5], label: 'Flare burst size' },
+    'frame.emissive': { rules: true, label: 'Frame glow: first matching rule wins' },
+    'frame.vibration': { value: 0, range: [0, 1], label: 'Frame vibration amplitude' },
+    'frame.drift': { value: 0, label: 'Frame float amplitude' },
+    'dust.opacity': { value: 0.3, range: [0, 1], label: 'Space dust opacity' },
+    'dust.spin': { value: 0.001, label: 'Space dust spin per 1/60 s' },
+    'stars.speed': { value: 0.0003, label: 'Star field spin per 1/60 s' },
+    'stars.flicker': { value: 0, range: [0, 0.4], label: 'Star field flicker' },
+    'ambient.intensity': { value: 0.03, range: [0, 5], label: 'Ambient light' },
+    'fog.density': { value: 0.012, range: [0, 0.2], label: 'Fog density' },
+    'aurora.strength': { value: 0, range: [0, 1], label: 'Aurora brightness' },
+    'aurora.redness': { value: 0, range: [0, 1], label: 'Aurora red crown' },
+    'aurora.shimmer': { value: 0, range: [0, 1], label: 'Aurora ray shimmer' },
+    'audio.pitch': { value: 55, range: [20, 880], label: 'Drone root, Hz' },
+    'audio.brightness': { value: 800, range: [80, 12000], label: 'Drone filter cutoff, Hz' },
+    'audio.mode': { value: 0, range: [-1, 1], label: 'Harmonic mode: -1 minor .. +1 major' },
+    'audio.crackle': { value: 0, range: [0, 1], label: 'Radiation crackle density' },
+    'audio.swell': { value: 0, range: [0, 5], label: 'Flare swell size' }
+};
+
+// Shape applied to the normalised input (0..1 across `in`); 'log' normalises on a log10 scale instead
+export const CURVES = {
+    linear: (t) => t,
+    smooth: (t) => t * t * (3 - 2 * t),
+    'ease-in': (t) => t * t,
+    'ease-out': (t) => 1 - (1 - t) * (1 - t),
+    step: (t) => (t >= 1 ? 1 : 0),
+    log: (t) => t
+};
+
+// The gallery's original formulas, expressed as bindings
+export const DEFAULT_MAPPING = {
+    name: 'Solar Light Engine',
+    bindings: [
+        { metric: 'ssn', target: 'light.intensity', in: [0, 100], out: [300, 1100], clamp: false },
+        { metric: 'stormLevel', target: 'light.intensity', in: [0, 1], out: [1, 1.5], combine: 'multiply' },
+        { metric: 'bz', target: 'light.hueShift', in: [0, 1], out: [0, 15], clamp: false },
+        { metric: 'kp', target: 'light.breathSpeed', in: [0, 9], out: [1.5, 4.5] },
+        { metric: 'stormLevel', target: 'light.breathDepth', in: [0, 1], out: [0.2, 0.5] },
+        { metric: 'flareScale', target: 'light.flare', in: [0, 1], out: [0, 0.25], clamp: false },
+        {
+            target: 'frame.emissive',
+            rules: [
+                { when: { metric: 'bz', below: -5 }, color: '#ff3300', intensity: 0.3, pulse: 0.2, speed: 2 },
+                { when: { metric: 'bz', above: 5 }, color: '#0066ff', intensity: 0.15, pulse: 0.1, speed: 1 },
+                { when: { metric: 'kp', above: 5 }, color: '#9933ff', intensity: 0.4, pulse: 0.3, speed: 3 },
+                { when: { metric: 'ssn', above: 100 }, color: '#ffaa00', intensity: 0.2, pulse: 0.15, speed: 1.5 },
+                { color: '#003344', intensity: 0.05, pulse: 0.05, speed: 0.5 }
+            ]
+        },
+        { metric: 'radiationLevel', target: 'frame.vibration', in: [0, 1], out: [0, 0.02], when: { above: 0.3 }, else: 0 },
+        { metric: 'solarWind', target: 'frame.drift', in: [400, 1400], out: [0, 0.05], clamp: false },
+        { metric: 'stormLevel', target: 'dust.opacity', in: [0, 1], out: [0.2, 0.5] },
+        { metric: 'solarWind', target: 'dust.spin', in: [400, 1400], out: [0.001, 1.001], clamp: false },
+        { metric: 'ssn', target: 'stars.speed', in: [0, 100], out: [0.0003, 0.0023], clamp: false },
+        { metric: 'radiationLevel', target: 'stars.flicker', in: [0, 1], out: [0, 0.2], when: { above: 0.3 }, else: 0 },
+        { metric: 'stormLevel', target: 'ambient.intensity', in: [0, 1], out: [0.03, 0.08] },
+        { metric: 'kp', target: 'aurora.strength', in: [2, 7], out: [0, 1] },
+        { metric: 'bz', target: 'aurora.strength', in: [0, -30], out: [0, 1] },
+        { metric: 'bz', target: 'aurora.redness', in: [0, -15], out: [0, 1] },
+        { metric: 'electronFlux', target: 'aurora.shimmer', in: [1, 10000], out: [0, 1], curve: 'log' },
+        { metric: 'solarWind', target: 'audio.pitch', in: [300, 900], out: [41, 82], smoothing: 5 },
+        { metric: 'ssn', target: 'audio.brightness', in: [0, 200], out: [350, 2400], curve: 'smooth' },
+        { metric: 'bz', target: 'audio.mode', in: [-10, 10], out: [-1, 1] },
+        { metric: 'protonFlux', target: 'audio.crackle', in: [1, 1000], out: [0, 1], curve: 'log' },
+        { metric: 'flareScale', target: 'audio.swell', in: [0, 1], out: [0, 0.5], clamp: false }
+    ]
+};
+
+// Accepts { bindings: [...] } or a bare array; invalid bindings are rejected with a reason, like gallery.json works
+export function normalizeMapping(json) {
+    const list = Array.isArray(json) ? json : json?.bindings;
+    if (!Array.isArray(list)) throw new Error('Mapping has no "bindings" array');
+
+    const bindings = [];
+    const rejected = [];
+    list.forEach((entry, i) => {
+        const reason = validateBinding(entry);
+        if (reason) rejected.push({ index: i, entry, reason });
+        else bindings.push(normalizeBinding(entry));
+    });
+    return { mapping: { name: json?.name || '', bindings }, rejected };
+}
+
+const isPair = (v) => Array.isArray(v) && v.length === 2 && v.every(Number.isFinite);
+const isCondition = (c) => c && (c.above === undefined || Number.isFinite(c.above)) && (c.below === undefined || Number.isFinite(c.below));
+
+function validateBinding(b) {
+    if (!b || typeof b !== 'object') return 'not an object';
+    const target = MAPPING_TARGETS[b.target];
+    if (!target) return `unknown target "${b.target}"`;
+    if (target.rules) {
+        if (!Array.isArray(b.rules) || !b.rules.length) return `"${b.target}" needs a "rules" array`;
+        const bad = b.rules.findIndex(r => !/^#[0-9a-f]{6}$/i.test(r?.color || '') || [].concat(r.when || []).some(c => !c.metric || !isCondition(c)));
+        return bad >= 0 ? `rule ${bad}: needs "color" as #rrggbb and "when" conditions with "metric" and numeric above/below` : null;
+    }
+    if (typeof b.metric !== 'string' || !b.metric) return 'missing "metric"';
+    if (b.in !== undefined && (!isPair(b.in) || b.in[0] === b.in[1])) return '"in" must be two different numbers';
+    if (b.out !== undefined && !isPair(b.out)) return '"out" must be two numbers';
+    if (b.curve !== undefined && !CURVES[b.curve]) return `unknown curve "${b.curve}" (${Object.keys(CURVES).join(', ')})`;
+    if (b.curve === 'log' && (b.in || [0, 1]).some(v => v <= 0)) return '"log" curve needs a positive "in" range';
+    if (b.clamp !== undefined && typeof b.clamp !== 'boolean' && !isPair(b.clamp)) return '"clamp" must be true, false or [min, max]';
+    if (b.combine !== undefined && !['add', 'multiply'].includes(b.combine)) return '"combine" must be "add" or "multiply"';
+    if (b.when !== undefined && !isCondition(b.when)) return '"when" needs numeric "above" and/or "below"';
+    if (b.smoothing !== undefined && !(b.smoothing >= 0)) return '"smoothing" must be seconds >= 0';
+    return null;
+}
+
+function normalizeBinding(b) {
+    if (MAPPING_TARGETS[b.target].rules) {
+        return {
+            target: b.target,
+            smoothing: b.smoothing || 0,
+            rules: b.rules.map(r => ({
+                when: [].concat(r.when || []),
+                color: r.color,
+                intensity: r.intensity ?? 0,
+                pulse: r.pulse ?? 0,
+                speed: r.speed ?? 1
+            }))
+        };
+    }
+    return {
+        metric: b.metric,
+        target: b.target,
+        in: b.in || [0, 1],
+        out: b.out || [0, 1],
+        curve: b.curve || 'linear',
+        clamp: b.clamp ?? true,
+        combine: b.combine || 'add',
+        when: b.when || null,
+        else: b.else ?? null,
+        smoothing: b.smoothing || 0
+    };
+}
+
+function matches(condition, value) {
+    if (typeof value !== 'number') return false;
+    if (condition.above !== undefined && !(value > condition.above)) return false;
+    if (condition.below !== undefined && !(value < condition.below)) return false;
+    return true;
+}
+
+// One binding's output for the current data, or null when it has nothing to say (metric missing, gated off)
+export function evaluateBinding(b, data) {
+    const v = data[b.metric];
+    if (typeof v !== 'number' || !Number.isFinite(v)) return null;
+    if (b.when && !matches(b.when, v)) return b.else;
+    const [a, z] = b.in;
+    let t = b.curve === 'log'
+        ? (Math.log10(Math.max(v, 1e-12)) - Math.log10(a)) / (Math.log10(z) - Math.log10(a))
+        : (v - a) / (z - a);
+    if (b.clamp === true) t = Math.max(0, Math.min(1, t));
+    let out = b.out[0] + CURVES[b.curve](t) * (b.out[1] - b.out[0]);
+    if (Array.isArray(b.clamp)) out = Math.max(b.clamp[0], Math.min(b.clamp[1], out));
+    return out;
+}
+
+export function evaluateRules(rules, data) {
+    const rule = rules.find(r => r.when.every(c => matches(c, data[c.metric])));
+    return rule ? { color: hexToRgb(rule.color), intensity: rule.intensity, pulse: rule.pulse, speed: rule.speed } : null;
+}
+
+function hexToRgb(hex) {
+    const n = parseInt(hex.slice(1), 16);
+    return [(n >> 16 & 255) / 255, (n >> 8 & 255) / 255, (n & 255) / 255];
+}
+
+// Sum of 'add' bindings (or the target's default when none apply), times every 'multiply' binding
+export function evaluateMapping(mapping, data, outputs = mapping.bindings.map(b => (b.rules ? evaluateRules(b.rules, data) : evaluateBinding(b, data)))) {
+    const values = {};
+    Object.entries(MAPPING_TARGETS).forEach(([name, target]) => {
+        if (target.rules) { values[name] = null; return; }
+        let sum = null, product = 1;
+        mapping.bindings.forEach((b, i) => {
+            if (b.target !== name || outputs[i] === null) return;
+            if (b.combine === 'multiply') product *= outputs[i];
+            else sum = (sum ?? 0) + outputs[i];
+        });
+        let value = (sum ?? target.value) * product;
+        if (target.range) value = Math.max(target.range[0], Math.min(target.range[1], value));
+        values[name] = value;
+    });
+    mapping.bindings.forEach((b, i) => { if (b.rules && outputs[i] && !values[b.target]) values[b.target] = outputs[i]; });
+    return values;
+}
+
+// Per-frame evaluation; each binding with `smoothing` eases toward its output (exponential, seconds to ~63%)
+export function createMapper(mapping = normalizeMapping(DEFAULT_MAPPING).mapping) {
+    let current = mapping;
+    let smoothed = [];
+
+    const ease = (prev, next, k) => (prev === null || next === null ? next : prev + (next - prev) * k);
+
+    function update(data, delta) {
+        const raw = current.bindings.map(b => (b.rules ? evaluateRules(b.rules, data) : evaluateBinding(b, data)));
+        smoothed = current.bindings.map((b, i) => {
+            const prev = smoothed[i];
+            if (!b.smoothing || prev === undefined) return raw[i];
+            const k = 1 - Math.exp(-delta / b.smoothing);
+            if (!b.rules) return ease(prev, raw[i], k);
+            if (!prev || !raw[i]) return raw[i];
+            return {
+                color: prev.color.map((c, j) => ease(c, raw[i].color[j], k)),
+                intensity: ease(prev.intensity, raw[i].intensity, k),
+                pulse: ease(prev.pulse, raw[i].pulse, k),
+                speed: ease(prev.speed, raw[i].speed, k)
+            };
+        });
+        return evaluateMapping(current, data, smoothed);
+    }
+
+    return {
+        update,
+        evaluate: (data) => evaluateMapping(current, data),
+        // Hot reload: smoothing restarts from the new bindings' outputs
+        set(next) { current = next; smoothed = []; },
+        get mapping() { return current; }
+    };
+}
@@ -0,0 +1,92 @@
+// PLAQUES + HOTSPOTS - Wall label text for a work and curator notes pinned to points of the image
+
+export const PLAQUE = { width: 1.2, height: 0.6, gap: 0.3 }; // world units, hung beside the frame at eye level
+const CANVAS = { width: 768, height: 384, padding: 36 };
+
+const inImage = (v) => typeof v === 'number' && v >= 0 && v <= 1;
+
+// [{ x, y, title, note, distance }]: x/y are fractions of the image from its top-left corner,
+// distance is how far from the surface the camera stops (macro range, 0.1 = OrbitControls' minimum).
+// Points outside the image and entries with no text are dropped
+export function normalizeHotspots(list) {
+    if (!Array.isArray(list)) return [];
+    return list
+        .filter(h => h && inImage(h.x) && inImage(h.y) && (h.title || h.note))
+        .map(h => ({
+            x: h.x,
+            y: h.y,
+            title: String(h.title || ''),
+            note: String(h.note || ''),
+            distance: Math.min(3, Math.max(0.1, Number(h.distance) || 0.6))
+        }));
+}
+
+// The hotspot nearest to `point` (image fractions) within `radius` world units on an image of `size` (world units)
+export function hotspotAt(hotspots, point, size, radius = 0.2) {
+    let best = null;
+    let bestDistance = radius;
+    hotspots.forEach(h => {
+        const d = Math.hypot((h.x - point.x) * size.width, (h.y - point.y) * size.height);
+        if (d <= bestDistance) { best = h; bestDistance = d; }
+    });
+    return best;
+}
+
+export const plaqueCaption = (work) => [work.artist, work.year].filter(v => v !== null && v !== undefined && v !== '').join(', ');
+
+// Greedy word wrap; a cut-off last line ends in an ellipsis
+export function wrapText(text, maxWidth, measure, maxLines = Infinity) {
+    const lines = [];
+    let line = '';
+    for (const word of String(text).split(/\s+/).filter(Boolean)) {
+        const next = line ? `${line} ${word}` : word;
+        if (line && measure(next) > maxWidth) { lines.push(line); line = word; } else line = next;
+    }
+    if (line) lines.push(line);
+    if (lines.length <= maxLines) return lines;
+    const kept = lines.slice(0, Math.max(0, maxLines));
+    if (kept.length) {
+        let last = kept[kept.length - 1];
+        while (last && measure(`${last}…`) > maxWidth) last = last.slice(0, -1);
+        kept[kept.length - 1] = `${last.trimEnd()}…`;
+    }
+    return kept;
+}
+
+// Title, artist + year, medium and as much of the description as fits, drawn onto the plaque's canvas
+export function drawPlaque(canvas, work) {
+    const { width, height, padding } = CANVAS;
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#0c0c0c';
+    ctx.fillRect(0, 0, width, height);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+    ctx.lineWidth = 4;
+    ctx.strokeRect(2, 2, width - 4, height - 4);
+    ctx.textBaseline = 'top';
+
+    const footer = work.hotspots?.length ? 40 : 0;
+    let y = padding;
+    const block = (text, font, color, lineHeight, maxLines) => {
+        if (!text) return;
+        ctx.font = font;
+        ctx.fillStyle = color;
+        const fit = Math.min(maxLines, Math.floor((height - padding - footer - y) / lineHeight));
+        wrapText(text, width - padding * 2, (s) => ctx.measureText(s).width, fit).forEach(line => {
+            ctx.fillText(line, padding, y);
+            y += lineHeight;
+        });
+    };
+    block(work.title || work.file, 'bold 44px Georgia, serif', '#f2efe6', 52, 2);
+    block(plaqueCaption(work), '28px Georgia, serif', '#c9c4b8', 38, 1);
+    block(work.medium, 'italic 24px Georgia, serif', '#8f8a80', 34, 1);
+    y += 12;
+    block(work.description, '22px sans-serif', '#b5b0a6', 29, Infinity);
+
+    if (footer) {
+        ctx.font = 'bold 22px sans-serif';
+        ctx.fillStyle = '#00ffcc';
+        ctx.fillText(`◉ ДЕТАЛІ: ${work.hotspots.length}`, padding, height - padding - 22);
+    }
+}
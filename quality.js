@@ -0,0 +1,53 @@
+// QUALITY - Render tiers (particles, shadows, pixel ratio, antialiasing) and a frame-time monitor that steps them down
+
+export const QUALITY_TIERS = ['low', 'medium', 'high', 'ultra'];
+export const QUALITY_STORAGE_KEY = 'cosmic-gallery.quality';
+
+// 'high' is the gallery as it always rendered; shadowType names map to THREE's shadow map types in main.js
+export const QUALITY_SETTINGS = {
+    low: { stars: 4000, dust: 600, shadows: false, shadowMapSize: 512, shadowType: 'basic', pixelRatio: 1, antialias: false },
+    medium: { stars: 10000, dust: 1500, shadows: true, shadowMapSize: 1024, shadowType: 'pcf', pixelRatio: 1.5, antialias: false },
+    high: { stars: 20000, dust: 3000, shadows: true, shadowMapSize: 2048, shadowType: 'pcfsoft', pixelRatio: 2, antialias: true },
+    ultra: { stars: 40000, dust: 6000, shadows: true, shadowMapSize: 4096, shadowType: 'pcfsoft', pixelRatio: 3, antialias: true }
+};
+
+export const lowerTier = (tier) => QUALITY_TIERS[Math.max(0, QUALITY_TIERS.indexOf(tier) - 1)];
+
+// 'auto' starts from a guess about the device and steps down on slow frames; ultra is only ever picked by hand
+export function guessTier({ coarsePointer = false, cores = 8, memory = 8 } = {}) {
+    if (memory <= 2 || cores <= 2) return 'low';
+    if (coarsePointer || memory <= 4 || cores <= 4) return 'medium';
+    return 'high';
+}
+
+// Frame times in ms; onSlow(averageMs) fires once the average stays over `budget` for `patience` seconds,
+// then the monitor starts over and waits `cooldown` seconds so the new tier gets a fair measurement
+export function createFrameMonitor({ budget = 1000 / 45, patience = 3, cooldown = 5, onSlow = () => {} } = {}) {
+    let average = null;
+    let slowFor = 0;
+    let settle = 0;
+
+    function reset() {
+        average = null;
+        slowFor = 0;
+        settle = cooldown;
+    }
+
+    function sample(ms) {
+        if (!(ms > 0) || ms > 1000) return; // hidden tabs, breakpoints and long loads are not frame times
+        average = average === null ? ms : average + (ms - average) * 0.05;
+        if (settle > 0) { settle -= ms / 1000; return; }
+        slowFor = average > budget ? slowFor + ms / 1000 : 0;
+        if (slowFor >= patience) {
+            onSlow(average);
+            reset();
+        }
+    }
+
+    return {
+        sample,
+        reset,
+        get frameTime() { return average ?? 0; },
+        get fps() { return average ? 1000 / average : 0; }
+    };
+}
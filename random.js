@@ -0,0 +1,22 @@
+// RANDOM - Seeded generators, so the same ?seed= gives the same star field, dust, shuffles and transition noise
+
+// Numeric seeds are used as they are (so a seed copied from a view link round-trips); anything else is hashed (FNV-1a)
+export function parseSeed(value) {
+    const s = String(value).trim();
+    if (/^\d+$/.test(s)) return Number(s) >>> 0;
+    let h = 2166136261;
+    for (let i = 0; i < s.length; i++) h = Math.imul(h ^ s.charCodeAt(i), 16777619);
+    return h >>> 0;
+}
+
+// mulberry32: 32-bit state, plenty for visuals; a drop-in for Math.random (() => [0, 1))
+export function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,185 @@
+// SONIFICATION - Generative drone played from the same mapped values that drive the lights (Web Audio)
+
+export const AUDIO_STORAGE_KEY = 'cosmic-gallery.audio';
+
+// Voice ratios over the drone root: southward Bz darkens the chord to minor, northward brightens it to major
+export const MODES = {
+    dark: [1, 6 / 5, 3 / 2, 16 / 9],
+    open: [1, 3 / 2, 2, 9 / 4],
+    bright: [1, 5 / 4, 3 / 2, 15 / 8]
+};
+const VOICE_LEVELS = [1, 0.6, 0.5, 0.35];
+const DETUNE_CENTS = 4; // each voice is two saws this far either side of its pitch
+
+// audio.mode runs -1 (Bz south) .. +1 (Bz north); the middle stays on open fifths
+export const modeFor = (value) => (value < -0.2 ? 'dark' : value > 0.2 ? 'bright' : 'open');
+
+export const voiceFrequencies = (root, mode) => MODES[mode].map(r => root * r);
+
+// Radiation crackle: density 0..1 -> up to 40 clicks a second, drawn per frame so slow frames keep the rate
+export function crackleCount(density, delta, rand = Math.random) {
+    let expected = Math.max(0, density) * 40 * delta;
+    let count = 0;
+    while (expected > 0 && rand() < expected) { count++; expected -= 1; }
+    return count;
+}
+
+export function loadAudioSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(AUDIO_STORAGE_KEY) || '{}');
+        return { volume: saved.volume >= 0 && saved.volume <= 1 ? saved.volume : 0.5, enabled: saved.enabled === true };
+    } catch (e) {
+        return { volume: 0.5, enabled: false };
+    }
+}
+
+export function saveAudioSettings(settings) {
+    localStorage.setItem(AUDIO_STORAGE_KEY, JSON.stringify(settings));
+}
+
+function noiseBuffer(ctx, seconds, decay = 0) {
+    const buffer = ctx.createBuffer(1, Math.round(ctx.sampleRate * seconds), ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = (Math.random() * 2 - 1) * (decay ? Math.exp(-i / (ctx.sampleRate * decay)) : 1);
+    return buffer;
+}
+
+// Nothing is created until start(), which browsers only allow from a click or key press.
+// update(delta, params) once per frame: { pitch, brightness, mode, crackle, pulse, swell }, or null for a steady drone
+export function createSonification({ volume = 0.5, rand = Math.random } = {}) {
+    let ctx = null;
+    let nodes = null;
+    let muted = false;
+    let mode = 'open';
+
+    // Per-frame values glide instead of stepping, so 60 updates a second never click
+    const glide = (param, value, seconds) => {
+        if (Math.abs(param.value - value) > Math.abs(value) * 1e-3 + 1e-4) param.setTargetAtTime(value, ctx.currentTime, seconds);
+    };
+
+    function build() {
+        const master = ctx.createGain();
+        master.gain.value = 0;
+        master.connect(ctx.destination);
+
+        // Drone: four voices -> low-pass (brightness) -> tremolo (the lights' breathing pulse)
+        const tremolo = ctx.createGain();
+        tremolo.connect(master);
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.Q.value = 3;
+        filter.frequency.value = 800;
+        filter.connect(tremolo);
+        const voices = VOICE_LEVELS.map((level, i) => {
+            const gain = ctx.createGain();
+            gain.gain.value = level * 0.06;
+            gain.connect(filter);
+            const oscillators = [-DETUNE_CENTS, DETUNE_CENTS].map(cents => {
+                const osc = ctx.createOscillator();
+                osc.type = 'sawtooth';
+                osc.frequency.value = 55 * MODES.open[i];
+                osc.detune.value = cents;
+                osc.connect(gain);
+                osc.start();
+                return osc;
+            });
+            return { oscillators };
+        });
+        const sub = ctx.createOscillator();
+        sub.frequency.value = 27.5;
+        const subGain = ctx.createGain();
+        subGain.gain.value = 0.12;
+        sub.connect(subGain).connect(tremolo);
+        sub.start();
+
+        // Flare swell: band-passed noise and a high sine, opened with the light burst
+        const swell = ctx.createGain();
+        swell.gain.value = 0;
+        swell.connect(master);
+        const air = ctx.createBufferSource();
+        air.buffer = noiseBuffer(ctx, 2);
+        air.loop = true;
+        const band = ctx.createBiquadFilter();
+        band.type = 'bandpass';
+        band.Q.value = 2;
+        band.frequency.value = 880;
+        air.connect(band).connect(swell);
+        air.start();
+        const shine = ctx.createOscillator();
+        shine.frequency.value = 220;
+        const shineGain = ctx.createGain();
+        shineGain.gain.value = 0.3;
+        shine.connect(shineGain).connect(swell);
+        shine.start();
+
+        // Radiation crackle: short decaying clicks through a high-pass
+        const crackle = ctx.createBiquadFilter();
+        crackle.type = 'highpass';
+        crackle.frequency.value = 2500;
+        crackle.connect(master);
+        const click = noiseBuffer(ctx, 0.03, 0.004);
+
+        return { master, tremolo, filter, voices, sub, swell, band, shine, crackle, click };
+    }
+
+    function start() {
+        if (!ctx) {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContext) throw new Error('Web Audio is not supported in this browser');
+            ctx = new AudioContext();
+            nodes = build();
+        }
+        glide(nodes.master.gain, muted ? 0 : volume, 0.5);
+        return ctx.resume();
+    }
+
+    function crackleAt(when) {
+        const source = ctx.createBufferSource();
+        source.buffer = nodes.click;
+        source.playbackRate.value = 0.5 + rand() * 1.5;
+        const gain = ctx.createGain();
+        gain.gain.value = 0.05 + rand() * 0.15;
+        source.connect(gain).connect(nodes.crackle);
+        source.start(when);
+    }
+
+    function update(delta, params) {
+        if (!ctx || ctx.state !== 'running') return;
+        const { voices, sub, filter, tremolo, swell, band, shine } = nodes;
+        if (!params) {
+            glide(tremolo.gain, 1, 0.5);
+            glide(swell.gain, 0, 0.5);
+            return;
+        }
+        mode = modeFor(params.mode);
+        voiceFrequencies(params.pitch, mode).forEach((f, i) => voices[i].oscillators.forEach(osc => glide(osc.frequency, f, 1.5)));
+        glide(sub.frequency, params.pitch / 2, 1.5);
+        glide(filter.frequency, params.brightness * (1 + params.swell * 2), 0.3);
+        glide(tremolo.gain, params.pulse, 0.03);
+        glide(swell.gain, Math.min(1, params.swell) * 0.25, 0.05);
+        glide(band.frequency, params.pitch * 16, 1);
+        glide(shine.frequency, params.pitch * 4 * MODES[mode][1], 1.5);
+        for (let n = crackleCount(params.crackle, delta, rand); n > 0; n--) crackleAt(ctx.currentTime + rand() * delta);
+    }
+
+    return {
+        start,
+        update,
+        setVolume(v) {
+            volume = Math.min(1, Math.max(0, v));
+            if (ctx && !muted) glide(nodes.master.gain, volume, 0.1);
+        },
+        setMuted(m) {
+            muted = m;
+            if (!ctx) return;
+            glide(nodes.master.gain, muted ? 0 : volume, 0.2);
+            if (!muted) ctx.resume();
+        },
+        suspend: () => ctx?.suspend(),
+        resume: () => (ctx && !muted ? ctx.resume() : undefined),
+        get started() { return !!ctx; },
+        get muted() { return muted; },
+        get volume() { return volume; },
+        get mode() { return mode; }
+    };
+}
@@ -0,0 +1,591 @@
+// SPACE WEATHER - NOAA SWPC parsing, derived levels and the pluggable data sources (live / replay / scenario)
+
+export const NOAA_ENDPOINTS = {
+    ssn: 'https://services.swpc.noaa.gov/json/solar-cycle/predicted-solar-cycle.json',
+    proton: 'https://services.swpc.noaa.gov/json/goes/primary/integral-protons-plot-6-hour.json',
+    flare: 'https://services.swpc.noaa.gov/json/goes/primary/xray-flares-7-day.json',
+    kp: 'https://services.swpc.noaa.gov/json/planetary_k_index_1m.json',
+    wind: 'https://services.swpc.noaa.gov/json/rtsw/rtsw_wind_1m.json',
+    electron: 'https://services.swpc.noaa.gov/json/goes/primary/integral-electrons-plot-6-hour.json'
+};
+
+export const METRICS = ['ssn', 'kp', 'bz', 'solarWind', 'protonFlux', 'electronFlux'];
+
+// What the gallery shows before the first snapshot arrives
+export const NOAA_DEFAULTS = {
+    ssn: 50,
+    kp: 2,
+    bz: 0,
+    solarWind: 400,
+    protonFlux: 1,
+    electronFlux: 100,
+    stormLevel: 0,
+    radiationLevel: 0,
+    recentFlare: 'None',
+    flareScale: 0, // burst size from the flare class (M1 = 1, X1 = 2, X9 ~ 3)
+    flareLevel: 0 // 0..1 along the flare's begin/peak/end timing
+};
+
+// A reading: a finite number (NOAA sends numbers or numeric strings), or null for "no measurement" - never a default
+const reading = (v) => (v === null || v === undefined || v === '' || typeof v === 'boolean' ? null : Number.isFinite(Number(v)) ? Number(v) : null);
+const isFlareClass = (v) => typeof v === 'string' && /^[ABCMX]\d/.test(v);
+
+// A flare's class: its peak once NOAA knows it, the class so far while the flare is still rising; null when neither is usable
+export const flareClassOf = (row) => [row.max_class, row.current_class].find(isFlareClass) ?? null;
+
+// Per-endpoint shape: the time field every row needs and the fields that carry its reading (at least one present)
+export const FEED_SCHEMAS = {
+    ssn: { time: 'time-tag', values: ['predicted_ssn'] },
+    proton: { time: 'time_tag', values: ['flux'] },
+    flare: { time: 'begin_time', classes: ['max_class', 'current_class'] },
+    kp: { time: 'time_tag', values: ['kp_index'] },
+    wind: { time: 'time_tag', values: ['wind_speed', 'bz'] },
+    electron: { time: 'time_tag', values: ['flux'] }
+};
+
+// Throws when a feed isn't what its schema says (an error page, an object, every row broken);
+// otherwise returns the usable rows and how many were dropped. An empty array is valid (e.g. no flares this week)
+export function validateFeed(key, json) {
+    const schema = FEED_SCHEMAS[key];
+    if (!schema) throw new Error(`unknown feed "${key}"`);
+    if (!Array.isArray(json)) throw new Error(`${key}: expected an array, got ${json === null ? 'null' : typeof json}`);
+    const rows = json.filter(r => r && typeof r === 'object' && Number.isFinite(parseTime(r[schema.time]))
+        && (schema.classes ? schema.classes.some(f => isFlareClass(r[f])) : schema.values.some(f => reading(r[f]) !== null)));
+    if (json.length && !rows.length) throw new Error(`${key}: no row has "${schema.time}" and ${(schema.classes || schema.values).map(f => `"${f}"`).join(' or ')}`);
+    return { rows, dropped: json.length - rows.length };
+}
+
+export async function fetchFeed(key) {
+    const res = await fetch(NOAA_ENDPOINTS[key], { cache: 'no-cache' });
+    if (!res.ok) throw new Error(`${key}: HTTP ${res.status}`);
+    const { rows, dropped } = validateFeed(key, await res.json());
+    if (dropped) console.warn(`NOAA ${key}: skipped ${dropped} malformed rows`);
+    return rows;
+}
+
+// Newest row at or before `now` with a reading in `field` (feeds are not all oldest-first; predictions run into the future)
+function latestRow(rows, timeField, field, now, filter = () => true) {
+    if (!Array.isArray(rows)) return null;
+    let best = null;
+    rows.forEach(r => {
+        const time = parseTime(r[timeField]);
+        const value = reading(r[field]);
+        if (value === null || !(time <= now) || !filter(r)) return;
+        if (!best || time >= best.time) best = { value, time };
+    });
+    return best;
+}
+
+// Every metric's newest reading with the moment it was measured: { kp: { value, time }, ... }.
+// Null fields fall back to the newest row that has a value and a real 0 stays 0; a feed with nothing usable is left out
+export function latestReadings(raw, now = Date.now()) {
+    const channel = (name) => (r) => !r.energy || r.energy === name;
+    const readings = {
+        ssn: latestRow(raw.ssn, 'time-tag', 'predicted_ssn', now),
+        kp: latestRow(raw.kp, 'time_tag', 'kp_index', now),
+        bz: latestRow(raw.wind, 'time_tag', 'bz', now),
+        solarWind: latestRow(raw.wind, 'time_tag', 'wind_speed', now),
+        protonFlux: latestRow(raw.proton, 'time_tag', 'flux', now, channel(PROTON_CHANNEL)),
+        electronFlux: latestRow(raw.electron, 'time_tag', 'flux', now, channel(ELECTRON_CHANNEL))
+    };
+    // The flare list is a 7-day event log: its newest flare is the recent one, an empty log means none
+    if (Array.isArray(raw.flare)) {
+        readings.recentFlare = { value: 'None', time: null };
+        raw.flare.forEach(r => {
+            const time = parseTime(r.begin_time);
+            const flareClass = flareClassOf(r);
+            if (flareClass && time <= now && (readings.recentFlare.time === null || time >= readings.recentFlare.time)) readings.recentFlare = { value: flareClass, time };
+        });
+    }
+    return Object.fromEntries(Object.entries(readings).filter(([, r]) => r));
+}
+
+// Latest value of each feed; feeds that failed (null) or carry no readings are left out of the snapshot
+export function parseNoaa(raw, now = Date.now()) {
+    return Object.fromEntries(Object.entries(latestReadings(raw, now)).map(([metric, r]) => [metric, r.value]));
+}
+
+// Radiation (protons + flare class) and storm (Kp + southward Bz) levels, both 0..1
+export function deriveLevels(data) {
+    const flareBoost = data.recentFlare.startsWith('X') ? 0.8 : data.recentFlare.startsWith('M') ? 0.3 : 0;
+    return {
+        radiationLevel: Math.min(1, (Math.log10(data.protonFlux + 1) / 5) + flareBoost),
+        stormLevel: Math.min(1, (data.kp / 9) + (data.bz < 0 ? Math.abs(data.bz) / 20 : 0))
+    };
+}
+
+// FLARES - GOES X-ray class -> peak flux, burst scale and a fade envelope over the flare's lifetime
+
+const CLASS_FLUX = { A: 1e-8, B: 1e-7, C: 1e-6, M: 1e-5, X: 1e-4 }; // W/m² at magnitude 1
+const FLARE_DECAY = 30 * 60 * 1000; // flares with no end time yet fade from their peak over ~30 min
+const FLARE_TAIL = 20 * 60 * 1000; // afterglow once a flare has ended
+
+export function flareFlux(flareClass) {
+    const m = /^([ABCMX])(\d+(?:\.\d+)?)?/.exec(flareClass || '');
+    return m ? CLASS_FLUX[m[1]] * (parseFloat(m[2]) || 1) : 0;
+}
+
+// 0 up to C1, 1 at M1, 2 at X1, ~2.95 at X9
+export function flareMagnitude(flareClass) {
+    const flux = flareFlux(flareClass);
+    return flux ? Math.max(0, 1 + Math.log10(flux / 1e-5)) : 0;
+}
+
+// 0..1: rises from begin to peak, falls to 0.3 by the end time, then dies away
+export function flareEnvelope(flare, time) {
+    if (!flare || !(time >= flare.begin)) return 0;
+    const peak = Number.isFinite(flare.peak) ? Math.max(flare.peak, flare.begin) : flare.begin;
+    if (time < peak) return (time - flare.begin) / (peak - flare.begin);
+    if (!Number.isFinite(flare.end) || flare.end <= peak) return Math.exp(-(time - peak) / FLARE_DECAY);
+    if (time < flare.end) return 1 - 0.7 * (time - peak) / (flare.end - peak);
+    return 0.3 * Math.exp(-(time - flare.end) / FLARE_TAIL);
+}
+
+// Burst of the latest flare at `time`; without timing (no history) it holds at full level as before
+export function deriveFlare(flareClass, flare, time) {
+    return { flareScale: flareMagnitude(flareClass), flareLevel: flare ? flareEnvelope(flare, time) : 1 };
+}
+
+// The gallery's noaaData after a snapshot: metrics the snapshot lacks keep their previous values,
+// then the levels and the flare burst (placed along the flare's timing when there is history) are derived
+export function deriveNoaaData(previous, snapshot, history, time) {
+    const data = { ...previous, ...snapshot };
+    Object.assign(data, deriveLevels(data));
+    return Object.assign(data, deriveFlare(data.recentFlare, history ? flareAt(history, time) : null, time));
+}
+
+// HISTORY - per-metric [time, value] series plus the flare list, for the timeline scrubber
+
+export const HISTORY_METRICS = ['kp', 'bz', 'solarWind', 'protonFlux', 'electronFlux'];
+
+// NOAA time tags are UTC but mostly come without a zone suffix
+export function parseTime(tag) {
+    if (typeof tag === 'number') return tag;
+    if (typeof tag !== 'string') return NaN;
+    return Date.parse(/[zZ]|[+-]\d\d:?\d\d$/.test(tag) ? tag : `${tag.replace(' ', 'T')}Z`);
+}
+
+// GOES feeds interleave several energy channels; history keeps the headline one
+const PROTON_CHANNEL = '>=10 MeV';
+const ELECTRON_CHANNEL = '>=2 MeV';
+
+function toSeries(rows, field, filter = () => true) {
+    if (!Array.isArray(rows)) return [];
+    return rows
+        .filter(filter)
+        .map(r => [parseTime(r.time_tag), parseFloat(r[field])])
+        .filter(([t, v]) => Number.isFinite(t) && Number.isFinite(v))
+        .sort((a, b) => a[0] - b[0]);
+}
+
+export function parseNoaaHistory(raw) {
+    const channel = (name) => (r) => !r.energy || r.energy === name;
+    return {
+        series: {
+            kp: toSeries(raw.kp, 'kp_index'),
+            bz: toSeries(raw.wind, 'bz'),
+            solarWind: toSeries(raw.wind, 'wind_speed'),
+            protonFlux: toSeries(raw.proton, 'flux', channel(PROTON_CHANNEL)),
+            electronFlux: toSeries(raw.electron, 'flux', channel(ELECTRON_CHANNEL))
+        },
+        flares: parseFlares(raw.flare)
+    };
+}
+
+export function parseFlares(rows) {
+    if (!Array.isArray(rows)) return [];
+    return rows
+        .map(r => ({
+            begin: parseTime(r.begin_time),
+            peak: parseTime(r.max_time),
+            end: parseTime(r.end_time),
+            flareClass: flareClassOf(r)
+        }))
+        .filter(f => Number.isFinite(f.begin) && f.flareClass)
+        .sort((a, b) => a.begin - b.begin);
+}
+
+export function historyFromFrames(frames) {
+    const series = Object.fromEntries(HISTORY_METRICS.map(m => [m, frames.filter(f => typeof f[m] === 'number').map(f => [f.time, f[m]])]));
+    // A flare lasts until the recorded class changes; the last one is still in progress (no end)
+    const flares = [];
+    let open = null;
+    frames.forEach(f => {
+        const flareClass = f.recentFlare && f.recentFlare !== 'None' ? f.recentFlare : null;
+        if (open && open.flareClass === flareClass) return;
+        if (open) open.end = f.time;
+        open = flareClass ? { begin: f.time, peak: f.time, end: null, flareClass } : null;
+        if (open) flares.push(open);
+    });
+    return { series, flares };
+}
+
+export function historyRange(history) {
+    let min = Infinity, max = -Infinity;
+    Object.values(history.series).forEach(s => {
+        if (!s.length) return;
+        min = Math.min(min, s[0][0]);
+        max = Math.max(max, s[s.length - 1][0]);
+    });
+    return Number.isFinite(min) ? { min, max } : null;
+}
+
+// Latest value at or before `time` (binary search); undefined when the series starts later
+export function valueAt(series, time) {
+    let lo = 0, hi = series.length - 1, found;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (series[mid][0] <= time) { found = series[mid][1]; lo = mid + 1; } else hi = mid - 1;
+    }
+    return found;
+}
+
+// Latest flare that had begun by `time`
+export function flareAt(history, time) {
+    return [...history.flares].reverse().find(f => f.begin <= time) || null;
+}
+
+// The gallery's view of space weather as of `time`
+export function snapshotAt(history, time) {
+    const snapshot = {};
+    Object.entries(history.series).forEach(([metric, series]) => {
+        const v = valueAt(series, time);
+        if (v !== undefined) snapshot[metric] = v;
+    });
+    const flare = flareAt(history, time);
+    snapshot.recentFlare = flare ? flare.flareClass : 'None';
+    return snapshot;
+}
+
+// PROVIDERS - each calls onData(snapshot, time) with a partial noaaData and the moment it describes;
+// history() returns what the provider knows about the past (or null)
+
+// LIVE - per-feed polling with exponential backoff; the last good rows of every feed are cached in localStorage
+
+export const NOAA_CACHE_KEY = 'cosmic-gallery.noaa-cache';
+
+const MINUTE = 60 * 1000;
+
+// Which feed each metric comes from (errors and freshness are per feed)
+export const METRIC_FEEDS = { ssn: 'ssn', kp: 'kp', bz: 'wind', solarWind: 'wind', protonFlux: 'proton', electronFlux: 'electron', recentFlare: 'flare' };
+
+// A reading older than this is stale, six times older is old (each feed's own cadence; SSN is a monthly prediction)
+export const STALE_AFTER = { ssn: 62 * 24 * 60 * MINUTE, kp: 10 * MINUTE, bz: 10 * MINUTE, solarWind: 10 * MINUTE, protonFlux: 20 * MINUTE, electronFlux: 20 * MINUTE, recentFlare: 20 * MINUTE };
+
+export function freshness(metric, time, now = Date.now()) {
+    if (!Number.isFinite(time)) return 'missing';
+    const age = now - time;
+    const limit = STALE_AFTER[metric] ?? 10 * MINUTE;
+    return age <= limit ? 'fresh' : age <= limit * 6 ? 'stale' : 'old';
+}
+
+// Retry delay after `failures` consecutive failures: 5 s, 10 s, 20 s ... up to `max`
+export function backoffDelay(failures, { base = 5000, max = 10 * MINUTE } = {}) {
+    return failures > 0 ? Math.min(max, base * 2 ** (failures - 1)) : 0;
+}
+
+// { [feed]: { fetchedAt, rows } }; cached rows are re-validated, so a schema change simply drops them
+export function loadNoaaCache() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(NOAA_CACHE_KEY) || '{}');
+        return Object.fromEntries(Object.entries(stored).flatMap(([key, entry]) => {
+            try {
+                return FEED_SCHEMAS[key] && Number.isFinite(entry?.fetchedAt) ? [[key, { fetchedAt: entry.fetchedAt, rows: validateFeed(key, entry.rows).rows }]] : [];
+            } catch (e) {
+                return [];
+            }
+        }));
+    } catch (e) {
+        return {};
+    }
+}
+
+// Cached rows span the GOES plots' six hours, so the timeline reopens on the same stretch of data
+const CACHE_WINDOW = 6 * 60 * MINUTE;
+
+// A feed's rows worth caching: everything from the last CACHE_WINDOW (and predictions ahead of now), plus the newest
+// older row of each reading (per GOES channel), which latestReadings falls back to when the recent rows are null
+export function trimCachedRows(key, rows, now = Date.now()) {
+    const schema = FEED_SCHEMAS[key];
+    const fields = schema.classes || schema.values;
+    const has = (r, field) => (schema.classes ? isFlareClass(r[field]) : reading(r[field]) !== null);
+    const cutoff = now - CACHE_WINDOW;
+    const fallback = new Map();
+    rows.forEach(r => {
+        const time = parseTime(r[schema.time]);
+        if (time >= cutoff) return;
+        fields.filter(field => has(r, field)).forEach(field => {
+            const id = `${field} ${r.energy ?? ''}`;
+            if (!fallback.has(id) || time >= fallback.get(id).time) fallback.set(id, { row: r, time });
+        });
+    });
+    const kept = new Set([...fallback.values()].map(f => f.row));
+    return rows.filter(r => kept.has(r) || parseTime(r[schema.time]) >= cutoff);
+}
+
+// Throws when storage is full or blocked
+function saveNoaaCache(feeds, now = Date.now()) {
+    const entries = Object.entries(feeds).filter(([, f]) => f.rows).map(([key, f]) => [key, { fetchedAt: f.fetchedAt, rows: trimCachedRows(key, f.rows, now) }]);
+    localStorage.setItem(NOAA_CACHE_KEY, JSON.stringify(Object.fromEntries(entries)));
+}
+
+const clockTime = (time) => {
+    const d = new Date(time);
+    const hhmm = d.toTimeString().slice(0, 5);
+    return d.toDateString() === new Date().toDateString() ? hhmm : `${d.toISOString().slice(0, 10)} ${hhmm}`;
+};
+
+export function createLiveProvider({ interval = MINUTE, retry = {} } = {}) {
+    let timer = null;
+    let history = null;
+    let readings = {};
+    let offline = false;
+    let cacheWarned = false;
+    let onData = () => {};
+    // Per feed: last good rows, when they were fetched, consecutive failures, next retry and the last error
+    const feeds = Object.fromEntries(Object.keys(NOAA_ENDPOINTS).map(key => [key, { rows: null, fetchedAt: null, failures: 0, retryAt: 0, error: null }]));
+    const dueAt = (f) => (f.failures ? f.retryAt : (f.fetchedAt ?? 0) + interval);
+
+    function emit() {
+        const raw = Object.fromEntries(Object.entries(feeds).map(([key, f]) => [key, f.rows]));
+        if (!Object.values(raw).some(Boolean)) return;
+        readings = latestReadings(raw);
+        history = parseNoaaHistory(raw);
+        onData(parseNoaa(raw), Date.now());
+    }
+
+    async function poll() {
+        clearTimeout(timer);
+        const due = Object.entries(feeds).filter(([, f]) => dueAt(f) <= Date.now());
+        const results = await Promise.all(due.map(([key, f]) => fetchFeed(key).then(
+            (rows) => { Object.assign(f, { rows, fetchedAt: Date.now(), failures: 0, error: null }); return true; },
+            (e) => {
+                f.failures++;
+                f.retryAt = Date.now() + backoffDelay(f.failures, retry);
+                f.error = e.message;
+                console.warn(`NOAA ${key} failed (${e.message}); retry in ${Math.round((f.retryAt - Date.now()) / 1000)} s`);
+                return false;
+            }
+        )));
+        // Offline only while every feed is failing: one feed's retry going wrong says nothing about the rest
+        if (results.length) offline = Object.values(feeds).every(f => f.failures > 0);
+        if (results.some(Boolean)) {
+            try {
+                saveNoaaCache(feeds);
+            } catch (e) {
+                // A full or blocked storage stays that way: say so once, not on every poll
+                if (!cacheWarned) console.warn('NOAA cache not saved:', e.message);
+                cacheWarned = true;
+            }
+            emit();
+        }
+        const next = Math.min(...Object.values(feeds).map(dueAt));
+        timer = setTimeout(poll, Math.max(1000, next - Date.now()));
+    }
+
+    // Back online: retry failed feeds now instead of waiting out the backoff
+    const reconnect = () => {
+        Object.values(feeds).forEach(f => { if (f.failures) f.retryAt = 0; });
+        poll();
+    };
+
+    return {
+        id: 'live',
+        label: 'NOAA LIVE FEED',
+        describe() {
+            if (!offline) return 'services.swpc.noaa.gov';
+            const cachedAt = Math.max(...Object.values(feeds).map(f => f.fetchedAt ?? -Infinity));
+            if (Number.isFinite(cachedAt)) return `offline — showing cached data from ${clockTime(cachedAt)}`;
+            const retryIn = Math.min(...Object.values(feeds).map(f => f.retryAt)) - Date.now();
+            return `offline — retrying in ${Math.max(0, Math.ceil(retryIn / 1000))} s`;
+        },
+        history: () => history,
+        // Per metric: when its reading was measured (the flare log: when it was fetched) and its feed's last error
+        status() {
+            const times = Object.fromEntries(Object.entries(readings).map(([metric, r]) => [metric, r.time]));
+            if (readings.recentFlare) times.recentFlare = feeds.flare.fetchedAt;
+            const errors = Object.fromEntries(Object.entries(METRIC_FEEDS).filter(([, feed]) => feeds[feed].error).map(([metric, feed]) => [metric, feeds[feed].error]));
+            return { offline, times, errors };
+        },
+        start(callback) {
+            onData = callback;
+            // Last session's data first, so the gallery opens on real values even before (or without) the network
+            Object.entries(loadNoaaCache()).forEach(([key, entry]) => Object.assign(feeds[key], entry));
+            emit();
+            window.addEventListener('online', reconnect);
+            poll();
+        },
+        stop() {
+            clearTimeout(timer);
+            window.removeEventListener('online', reconnect);
+        }
+    };
+}
+
+// Plays a recorded timeline ({ name, frames: [{ time, ...metrics }] }) at `speed` x the clock (now(), ms), looping
+export function createReplayProvider({ url, speed = 60, tick = 1000, now = Date.now } = {}) {
+    let timer = null;
+    let timeline = null;
+    let history = null;
+    let startedAt = 0;
+    let simTime = 0;
+
+    return {
+        id: 'replay',
+        label: 'REPLAY',
+        get timeline() { return timeline; },
+        history: () => history,
+        describe: () => timeline
+            ? `${timeline.name || url} · ×${speed} · ${new Date(simTime).toISOString().slice(0, 16).replace('T', ' ')} UTC`
+            : `${url} · loading`,
+        async start(onData) {
+            try {
+                const res = await fetch(url);
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                timeline = normalizeTimeline(await res.json());
+                history = historyFromFrames(timeline.frames);
+            } catch (e) {
+                console.warn(`Replay timeline ${url} failed to load:`, e);
+                return;
+            }
+            const first = timeline.frames[0].time;
+            const span = Math.max(1, timeline.frames[timeline.frames.length - 1].time - first);
+            startedAt = now();
+            const step = () => {
+                simTime = first + ((now() - startedAt) * speed) % span;
+                onData(sampleTimeline(timeline, simTime), simTime);
+            };
+            step();
+            timer = setInterval(step, tick);
+        },
+        stop() { clearInterval(timer); }
+    };
+}
+
+export function normalizeTimeline(json) {
+    const frames = (Array.isArray(json) ? json : json?.frames || [])
+        .map(f => ({ ...f, time: typeof f.time === 'number' ? f.time : Date.parse(f.time) }))
+        .filter(f => Number.isFinite(f.time))
+        .sort((a, b) => a.time - b.time);
+    if (!frames.length) throw new Error('Timeline has no frames');
+    return { name: json?.name || '', description: json?.description || '', frames };
+}
+
+// Numeric metrics are interpolated between recorded frames; the flare class holds until the next frame
+export function sampleTimeline(timeline, time) {
+    const { frames } = timeline;
+    let i = frames.findIndex(f => f.time > time);
+    if (i === -1) i = frames.length;
+    const a = frames[Math.max(0, i - 1)];
+    const b = frames[Math.min(frames.length - 1, i)];
+    const k = b.time > a.time ? Math.min(1, Math.max(0, (time - a.time) / (b.time - a.time))) : 0;
+    const snapshot = {};
+    METRICS.forEach(m => {
+        if (typeof a[m] === 'number' && typeof b[m] === 'number') snapshot[m] = a[m] + (b[m] - a[m]) * k;
+        else if (typeof a[m] === 'number') snapshot[m] = a[m];
+    });
+    if (a.recentFlare) snapshot.recentFlare = a.recentFlare;
+    return snapshot;
+}
+
+// SCENARIOS - synthetic space weather on demand; t = simulated seconds since the scenario began
+const wave = (t, period) => Math.sin((t / period) * Math.PI * 2);
+const ramp = (t, start, end) => Math.min(1, Math.max(0, (t - start) / (end - start)));
+
+export const SCENARIOS = {
+    quiet: {
+        label: 'QUIET DAY',
+        duration: 6 * 3600,
+        at: (t) => ({
+            ssn: 40, kp: 1.3 + wave(t, 5400) * 0.5, bz: wave(t, 2700) * 2, solarWind: 360 + wave(t, 7200) * 20,
+            protonFlux: 0.4, electronFlux: 150, recentFlare: 'B4.2'
+        })
+    },
+    'g4-storm': {
+        label: 'G4 STORM',
+        duration: 6 * 3600,
+        at: (t) => {
+            const s = ramp(t, 600, 2 * 3600) * (1 - ramp(t, 4.5 * 3600, 6 * 3600) * 0.7);
+            return {
+                ssn: 130, kp: 2 + s * 6.3 + wave(t, 1800) * s * 0.4, bz: 1 - s * 22 + wave(t, 900) * s * 6,
+                solarWind: 420 + s * 430 + wave(t, 1200) * s * 40, protonFlux: 2 + s * 8, electronFlux: 300 + s * 6000,
+                recentFlare: 'M2.4'
+            };
+        }
+    },
+    'x-flare': {
+        label: 'X-CLASS FLARE',
+        duration: 3 * 3600,
+        at: (t) => {
+            const sep = ramp(t, 1800, 5400);
+            return {
+                ssn: 165, kp: 3 + sep, bz: -3 + wave(t, 1500) * 2, solarWind: 470,
+                protonFlux: 1 + sep * 40, electronFlux: 800,
+                recentFlare: t < 900 ? 'C3.1' : 'X2.3'
+            };
+        }
+    },
+    'proton-event': {
+        label: 'PROTON EVENT',
+        duration: 8 * 3600,
+        at: (t) => {
+            const rise = ramp(t, 300, 3 * 3600) * (1 - ramp(t, 6 * 3600, 8 * 3600) * 0.8);
+            return {
+                ssn: 140, kp: 4 + rise * 1.5, bz: -6 + wave(t, 2400) * 3, solarWind: 560 + rise * 120,
+                protonFlux: Math.pow(10, rise * 3.4), electronFlux: 2000, recentFlare: 'X1.1'
+            };
+        }
+    }
+};
+
+// Scenario time runs at `speed` x the clock (now(), ms); its timestamps start at the real moment it began
+export function createScenarioProvider({ scenario = 'g4-storm', speed = 60, tick = 1000, now = Date.now } = {}) {
+    const def = SCENARIOS[scenario] || SCENARIOS['g4-storm'];
+    let timer = null;
+    let startedAt = 0;
+    let clockStart = 0;
+    let t = 0;
+    let history = null;
+    return {
+        id: 'scenario',
+        label: `SCENARIO · ${def.label}`,
+        describe: () => `synthetic · ×${speed} · T+${formatElapsed(t)}`,
+        // The whole scenario run, sampled every 5 simulated minutes
+        history: () => {
+            if (!history) {
+                const frames = [];
+                for (let s = 0; s <= def.duration; s += 300) frames.push({ time: startedAt + s * 1000, ...def.at(s) });
+                history = historyFromFrames(frames);
+            }
+            return history;
+        },
+        start(onData) {
+            startedAt = Date.now();
+            clockStart = now();
+            const step = () => {
+                t = (((now() - clockStart) / 1000) * speed) % def.duration;
+                onData(def.at(t), startedAt + t * 1000);
+            };
+            step();
+            timer = setInterval(step, tick);
+        },
+        stop() { clearInterval(timer); }
+    };
+}
+
+function formatElapsed(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+// ?source=live (default) | replay&timeline=timelines/demo-storm.json&speed=60 | scenario&scenario=g4-storm&speed=60
+// now: the clock replay and scenario run on (the gallery passes its simulation clock, so pausing pauses them)
+export function createDataSource(params, { now = Date.now } = {}) {
+    const speed = Math.max(0.1, parseFloat(params.get('speed')) || 60);
+    switch (params.get('source')) {
+        case 'replay': return createReplayProvider({ url: params.get('timeline') || 'timelines/demo-storm.json', speed, now });
+        case 'scenario': return createScenarioProvider({ scenario: params.get('scenario') || 'g4-storm', speed, now });
+        default: return createLiveProvider();
+    }
+}
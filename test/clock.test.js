@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createClock } from '../clock.js';
+import { createRandom, parseSeed } from '../random.js';
+
+const manual = () => {
+    let ms = 0;
+    const now = () => ms;
+    return { now, advance: (seconds) => { ms += seconds * 1000; } };
+};
+
+test('clock follows real time x speed', () => {
+    const real = manual();
+    const clock = createClock({ now: real.now });
+    assert.deepEqual(clock.tick(), { time: 0, delta: 0 });
+    real.advance(0.5);
+    assert.deepEqual(clock.tick(), { time: 0.5, delta: 0.5 });
+    clock.setSpeed(2);
+    real.advance(0.25);
+    assert.deepEqual(clock.tick(), { time: 1, delta: 0.5 });
+});
+
+test('paused clock only moves by step()', () => {
+    const real = manual();
+    const clock = createClock({ now: real.now });
+    clock.tick();
+    clock.pause();
+    real.advance(3);
+    assert.equal(clock.tick().delta, 0);
+    clock.step(0.1);
+    clock.step(0.1);
+    real.advance(3);
+    assert.ok(Math.abs(clock.tick().delta - 0.2) < 1e-12);
+    assert.equal(clock.tick().delta, 0);
+    assert.equal(clock.paused, true);
+
+    clock.resume();
+    real.advance(1);
+    assert.ok(Math.abs(clock.tick().time - 1.2) < 1e-12);
+});
+
+test('sync() drops the real time since the last tick', () => {
+    const real = manual();
+    const clock = createClock({ now: real.now });
+    clock.tick();
+    real.advance(1);
+    clock.tick();
+    real.advance(600); // tab hidden for ten minutes
+    clock.sync();
+    assert.deepEqual(clock.tick(), { time: 1, delta: 0 });
+    real.advance(0.5);
+    assert.deepEqual(clock.tick(), { time: 1.5, delta: 0.5 });
+});
+
+test('seeded random is repeatable and in [0, 1)', () => {
+    const a = createRandom(42), b = createRandom(42), c = createRandom(43);
+    const seq = Array.from({ length: 1000 }, a);
+    assert.deepEqual(Array.from({ length: 1000 }, b), seq);
+    assert.notDeepEqual(Array.from({ length: 1000 }, c), seq);
+    assert.ok(seq.every(v => v >= 0 && v < 1));
+});
+
+test('parseSeed passes numbers through and hashes words', () => {
+    assert.equal(parseSeed('12345'), 12345);
+    assert.equal(parseSeed(12345), 12345);
+    assert.equal(parseSeed('aurora'), parseSeed('aurora'));
+    assert.notEqual(parseSeed('aurora'), parseSeed('Aurora'));
+});
@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeManifest, createCollection } from '../collection.js';
+import { createRandom } from '../random.js';
+
+const works = () => normalizeManifest({ works: ['a.jpg', 'b.jpg', 'c.gif', 'd.jpg'].map(file => ({ id: file[0], file })) }).works;
+
+test('normalizeManifest rejects entries without a file and duplicate ids', () => {
+    const { works: ok, rejected } = normalizeManifest([{ id: 'a', file: 'a.jpg' }, { id: 'b' }, { id: 'a', file: 'other.jpg' }, 'x']);
+    assert.deepEqual(ok.map(w => [w.id, w.type]), [['a', 'jpg']]);
+    assert.deepEqual(rejected.map(r => [r.index, r.reason]), [[1, 'missing "file"'], [2, 'duplicate id "a"'], [3, 'missing "file"']]);
+    assert.throws(() => normalizeManifest({}), /no "works" array/);
+});
+
+test('next / prev wrap around', () => {
+    const c = createCollection(works());
+    assert.equal(c.current().id, 'a');
+    assert.equal(c.prev().id, 'd');
+    assert.equal(c.next().id, 'a');
+    assert.equal(c.next().id, 'b');
+    assert.deepEqual(c.position(), { index: 2, total: 4 });
+});
+
+test('broken works are skipped and drop out of the count', () => {
+    const c = createCollection(works());
+    c.markBroken(c.works[1]);
+    assert.equal(c.next().id, 'c');
+    assert.equal(c.prev().id, 'a');
+    assert.equal(c.select('b'), null);
+    assert.deepEqual(c.position(), { index: 1, total: 3 });
+
+    c.works.forEach(w => c.markBroken(w));
+    assert.equal(c.current(), null);
+    assert.equal(createCollection([]).next(), null);
+});
+
+test('random never repeats the current work and replays with the same seed', () => {
+    const pick = (seed) => {
+        const c = createCollection(works());
+        const rand = createRandom(seed);
+        return Array.from({ length: 20 }, () => c.random(rand).id);
+    };
+    const run = pick(7);
+    assert.deepEqual(pick(7), run);
+    run.forEach((id, i) => assert.notEqual(id, i ? run[i - 1] : 'a'));
+});
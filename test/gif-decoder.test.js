@@ -0,0 +1,163 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeGif, createGifCompositor } from '../gif-decoder.js';
+
+const PALETTE = [0, 0, 0, 255, 0, 0, 0, 255, 0, 0, 0, 255]; // black, red, green, blue
+const GREY16 = Array.from({ length: 16 }, (_, i) => [i * 17, i * 17, i * 17]).flat();
+
+// Plain GIF LZW encoder; clearAt emits a clear code after that pixel to restart the table mid-stream
+function lzwEncode(minCodeSize, indices, { clearAt = -1, endAt = indices.length, trailing = [] } = {}) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = [];
+    let codeSize = minCodeSize + 1;
+    let next = endCode + 1;
+    let table = new Map();
+    let datum = 0;
+    let bits = 0;
+
+    const emit = (code) => {
+        datum |= code << bits;
+        bits += codeSize;
+        while (bits >= 8) { out.push(datum & 255); datum >>= 8; bits -= 8; }
+    };
+    const reset = () => {
+        emit(clearCode);
+        codeSize = minCodeSize + 1;
+        next = endCode + 1;
+        table = new Map();
+    };
+
+    reset();
+    let prefix = indices[0];
+    for (let i = 1; i < endAt; i++) {
+        const key = (prefix << 8) | indices[i];
+        if (table.has(key)) { prefix = table.get(key); continue; }
+        emit(prefix);
+        // Same bookkeeping as the decoder: the entry is added and the width grows before any clear
+        if (next < 4096) {
+            table.set(key, next++);
+            if (next > 1 << codeSize && codeSize < 12) codeSize++;
+        }
+        if (i === clearAt) reset();
+        prefix = indices[i];
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bits) out.push(datum & 255);
+    return [...out, ...trailing];
+}
+
+function interlace(pixels, width, height) {
+    const rows = [];
+    [[0, 8], [4, 8], [2, 4], [1, 2]].forEach(([start, step]) => {
+        for (let y = start; y < height; y += step) rows.push(...pixels.slice(y * width, (y + 1) * width));
+    });
+    return rows;
+}
+
+// frames: { pixels, left, top, width, height, delay (1/100 s), disposal, transparentIndex, interlaced, lzw }.
+// A graphic control extension is only written when the frame sets delay, disposal or transparency
+function buildGif({ width, height, palette = PALETTE, frames }) {
+    const u16 = (v) => [v & 255, v >> 8];
+    const sizeBits = Math.log2(palette.length / 3) - 1;
+    const minCodeSize = Math.max(2, sizeBits + 1);
+    const bytes = [...'GIF89a'].map(c => c.charCodeAt(0));
+    bytes.push(...u16(width), ...u16(height), 0x80 | sizeBits, 0, 0, ...palette);
+
+    frames.forEach(f => {
+        const w = f.width ?? width;
+        const h = f.height ?? height;
+        const transparent = f.transparentIndex ?? -1;
+        if ('delay' in f || f.disposal || transparent >= 0) {
+            bytes.push(0x21, 0xf9, 4, ((f.disposal || 0) << 2) | (transparent >= 0 ? 1 : 0), ...u16(f.delay || 0), Math.max(0, transparent), 0);
+        }
+        bytes.push(0x2c, ...u16(f.left || 0), ...u16(f.top || 0), ...u16(w), ...u16(h), f.interlaced ? 0x40 : 0);
+        const data = lzwEncode(minCodeSize, f.interlaced ? interlace(f.pixels, w, h) : f.pixels, f.lzw);
+        bytes.push(minCodeSize);
+        for (let i = 0; i < data.length; i += 255) {
+            const chunk = data.slice(i, i + 255);
+            bytes.push(chunk.length, ...chunk);
+        }
+        bytes.push(0);
+    });
+    bytes.push(0x3b);
+    return new Uint8Array(bytes).buffer;
+}
+
+// 256 pixels over four colours: enough new strings to widen the codes several times
+const noisy = Array.from({ length: 256 }, (_, i) => ((i * 37) ^ (i >> 3) ^ (i >> 5)) & 3);
+
+const pixelAt = (compositor, x) => Array.from(compositor.rgba.subarray(x * 4, x * 4 + 4));
+
+test('decodeGif reads a frame whose LZW codes grow past the starting width', () => {
+    const gif = decodeGif(buildGif({ width: 16, height: 16, frames: [{ pixels: noisy }] }));
+    assert.equal(gif.width, 16);
+    assert.equal(gif.frames.length, 1);
+    assert.deepEqual(Array.from(gif.frames[0].pixels), noisy);
+
+    // Long runs of one colour exercise the code-not-yet-in-table case
+    const runs = Array.from({ length: 256 }, (_, i) => (i < 200 ? 2 : 1));
+    assert.deepEqual(Array.from(decodeGif(buildGif({ width: 16, height: 16, frames: [{ pixels: runs }] })).frames[0].pixels), runs);
+});
+
+test('decodeGif restarts the code table on a clear code and stops at the end code', () => {
+    const cleared = decodeGif(buildGif({ width: 16, height: 16, frames: [{ pixels: noisy, lzw: { clearAt: 150 } }] }));
+    assert.deepEqual(Array.from(cleared.frames[0].pixels), noisy);
+
+    // Bytes after the end code are ignored and the pixels it never reached stay at index 0
+    const ended = decodeGif(buildGif({ width: 16, height: 16, frames: [{ pixels: noisy, lzw: { endAt: 100, trailing: [0xff, 0xff, 0xff] } }] }));
+    const pixels = Array.from(ended.frames[0].pixels);
+    assert.deepEqual(pixels.slice(0, 100), noisy.slice(0, 100));
+    assert.ok(pixels.slice(100).every(v => v === 0));
+});
+
+test('decodeGif puts interlaced rows back in top-to-bottom order', () => {
+    const pixels = Array.from({ length: 2 * 11 }, (_, i) => Math.floor(i / 2)); // row y is filled with index y
+    const gif = decodeGif(buildGif({ width: 2, height: 11, palette: GREY16, frames: [{ pixels, interlaced: true }] }));
+    assert.deepEqual(Array.from(gif.frames[0].pixels), pixels);
+});
+
+test('decodeGif falls back to 100ms for missing, zero and too-short delays', () => {
+    const frame = { pixels: [1, 1] };
+    const gif = decodeGif(buildGif({
+        width: 2,
+        height: 1,
+        frames: [{ ...frame }, { ...frame, delay: 0 }, { ...frame, delay: 1 }, { ...frame, delay: 2 }, { ...frame, delay: 5 }]
+    }));
+    assert.deepEqual(gif.frames.map(f => f.delay), [100, 100, 100, 20, 50]);
+});
+
+test('compositor restores the background for disposal 2 and the previous canvas for disposal 3', () => {
+    const RED = [255, 0, 0, 255];
+    const GREEN = [0, 255, 0, 255];
+    const BLUE = [0, 0, 255, 255];
+    const CLEAR = [0, 0, 0, 0];
+    const gif = decodeGif(buildGif({
+        width: 2,
+        height: 1,
+        frames: [
+            { pixels: [1, 1], disposal: 1 },
+            { pixels: [2], left: 1, width: 1, disposal: 2 },
+            { pixels: [3], left: 0, width: 1, disposal: 3 },
+            { pixels: [0, 2], transparentIndex: 0 }
+        ]
+    }));
+    const compositor = createGifCompositor(gif);
+
+    compositor.seek(1);
+    assert.deepEqual([pixelAt(compositor, 0), pixelAt(compositor, 1)], [RED, GREEN]);
+    compositor.seek(2);
+    assert.deepEqual([pixelAt(compositor, 0), pixelAt(compositor, 1)], [BLUE, CLEAR]);
+    // Frame 2's blue is undone; the transparent index leaves that red showing through frame 3
+    compositor.seek(3);
+    assert.deepEqual([pixelAt(compositor, 0), pixelAt(compositor, 1)], [RED, GREEN]);
+    assert.equal(compositor.index, 3);
+
+    // Seeking backwards replays from the first frame
+    compositor.seek(2);
+    assert.deepEqual([pixelAt(compositor, 0), pixelAt(compositor, 1)], [BLUE, CLEAR]);
+    assert.equal(compositor.advance(), 3);
+    assert.equal(compositor.advance(), 0);
+    assert.deepEqual([pixelAt(compositor, 0), pixelAt(compositor, 1)], [RED, RED]);
+});
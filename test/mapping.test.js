@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeMapping, evaluateMapping, createMapper, DEFAULT_MAPPING } from '../mapping.js';
+import { NOAA_DEFAULTS, deriveLevels } from '../space-weather.js';
+
+const { mapping } = normalizeMapping(DEFAULT_MAPPING);
+const data = (values) => {
+    const d = { ...NOAA_DEFAULTS, ...values };
+    return { ...d, ...deriveLevels(d) };
+};
+const frameColour = (values) => evaluateMapping(mapping, data(values))['frame.emissive'].color.map(c => Math.round(c * 255));
+
+test('frame colour: southward Bz beats every other state', () => {
+    assert.deepEqual(frameColour({ bz: -12, kp: 8, ssn: 150 }), [0xff, 0x33, 0x00]);
+});
+
+test('frame colour: northward Bz, then Kp storm, then high SSN, then calm', () => {
+    assert.deepEqual(frameColour({ bz: 6, kp: 8 }), [0x00, 0x66, 0xff]);
+    assert.deepEqual(frameColour({ bz: 0, kp: 6, ssn: 150 }), [0x99, 0x33, 0xff]);
+    assert.deepEqual(frameColour({ bz: -5, kp: 5, ssn: 120 }), [0xff, 0xaa, 0x00]);
+    assert.deepEqual(frameColour({ bz: 5, kp: 2, ssn: 100 }), [0x00, 0x33, 0x44]);
+});
+
+test('default bindings reproduce the original light formulas', () => {
+    const calm = evaluateMapping(mapping, data({ ssn: 50, kp: 0, bz: 0 }));
+    assert.equal(calm['light.intensity'], 700);
+    assert.equal(calm['light.breathSpeed'], 1.5);
+    assert.equal(calm['frame.vibration'], 0);
+
+    const storm = evaluateMapping(mapping, data({ ssn: 150, kp: 9, bz: -20 }));
+    assert.equal(storm['light.intensity'], 1500 * 1.5);
+    assert.equal(storm['light.breathSpeed'], 4.5);
+    assert.equal(storm['aurora.strength'], 1);
+});
+
+test('normalizeMapping rejects broken bindings with a reason', () => {
+    const { mapping: m, rejected } = normalizeMapping([
+        { metric: 'kp', target: 'light.breathSpeed' },
+        { metric: 'kp', target: 'nope' },
+        { metric: 'kp', target: 'fog.density', in: [1, 1] },
+        { target: 'frame.emissive', rules: [{ color: 'red' }] }
+    ]);
+    assert.equal(m.bindings.length, 1);
+    assert.deepEqual(rejected.map(r => r.index), [1, 2, 3]);
+    assert.match(rejected[0].reason, /unknown target/);
+});
+
+test('smoothing eases a binding toward its output', () => {
+    const mapper = createMapper(normalizeMapping([{ metric: 'kp', target: 'fog.density', in: [0, 10], out: [0, 0.1], smoothing: 1 }]).mapping);
+    assert.equal(mapper.update({ kp: 0 }, 0.016)['fog.density'], 0);
+    const eased = mapper.update({ kp: 10 }, 1)['fog.density'];
+    assert.ok(Math.abs(eased - 0.1 * (1 - Math.exp(-1))) < 1e-9);
+});
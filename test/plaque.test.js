@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeHotspots, hotspotAt, plaqueCaption, wrapText } from '../plaque.js';
+import { normalizeManifest } from '../collection.js';
+
+test('normalizeHotspots keeps points inside the image that carry some text', () => {
+    const hotspots = normalizeHotspots([
+        { x: 0.25, y: 0.5, title: 'Eye', note: 'Hand-drawn over the render' },
+        { x: 0, y: 1, note: 'Corner' },
+        { x: 1.2, y: 0.5, title: 'Outside' },
+        { x: '0.5', y: 0.5, title: 'String coordinates' },
+        { x: 0.5, y: 0.5 },
+        null
+    ]);
+    assert.deepEqual(hotspots.map(h => [h.x, h.y, h.title]), [[0.25, 0.5, 'Eye'], [0, 1, '']]);
+    assert.equal(hotspots[0].distance, 0.6);
+    assert.equal(normalizeHotspots([{ x: 0.5, y: 0.5, title: 'Close', distance: 0.01 }])[0].distance, 0.1);
+    assert.deepEqual(normalizeHotspots('nope'), []);
+});
+
+test('manifest works always carry a description and a hotspot list', () => {
+    const { works } = normalizeManifest([{ file: 'a.jpg' }, { file: 'b.jpg', description: 'Text', hotspots: [{ x: 0.1, y: 0.2, note: 'Here' }] }]);
+    assert.deepEqual(works.map(w => [w.description, w.hotspots.length]), [['', 0], ['Text', 1]]);
+});
+
+test('hotspotAt picks the nearest hotspot within the radius, in world units', () => {
+    const hotspots = normalizeHotspots([{ x: 0.2, y: 0.5, title: 'A' }, { x: 0.3, y: 0.5, title: 'B' }]);
+    const size = { width: 6, height: 3 };
+    assert.equal(hotspotAt(hotspots, { x: 0.22, y: 0.5 }, size).title, 'A');
+    assert.equal(hotspotAt(hotspots, { x: 0.27, y: 0.52 }, size).title, 'B');
+    assert.equal(hotspotAt(hotspots, { x: 0.5, y: 0.5 }, size), null);
+    // 0.04 of a 6 m wide image is 0.24 m: outside the default 0.2 m
+    assert.equal(hotspotAt(hotspots, { x: 0.16, y: 0.5 }, size), null);
+});
+
+test('plaqueCaption joins artist and year, skipping missing ones', () => {
+    assert.equal(plaqueCaption({ artist: 'XIII.GALLERY', year: 2024 }), 'XIII.GALLERY, 2024');
+    assert.equal(plaqueCaption({ artist: 'XIII.GALLERY', year: null }), 'XIII.GALLERY');
+    assert.equal(plaqueCaption({ artist: '', year: 0 }), '0');
+});
+
+test('wrapText wraps on words and ellipsizes the last kept line', () => {
+    const measure = (s) => s.length;
+    assert.deepEqual(wrapText('one two three four', 9, measure), ['one two', 'three', 'four']);
+    assert.deepEqual(wrapText('one two three four', 9, measure, 2), ['one two', 'three…']);
+    assert.deepEqual(wrapText('extraordinarily', 5, measure), ['extraordinarily']);
+    assert.deepEqual(wrapText('', 9, measure), []);
+    assert.deepEqual(wrapText('one two', 9, measure, 0), []);
+});
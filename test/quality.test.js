@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { QUALITY_TIERS, QUALITY_SETTINGS, lowerTier, guessTier, createFrameMonitor } from '../quality.js';
+
+test('tiers step down to low and stop there', () => {
+    assert.equal(lowerTier('ultra'), 'high');
+    assert.equal(lowerTier('medium'), 'low');
+    assert.equal(lowerTier('low'), 'low');
+    // every tier costs at least as much as the one below it
+    QUALITY_TIERS.slice(1).forEach((tier, i) => {
+        const below = QUALITY_SETTINGS[QUALITY_TIERS[i]];
+        assert.ok(QUALITY_SETTINGS[tier].stars > below.stars);
+        assert.ok(QUALITY_SETTINGS[tier].shadowMapSize >= below.shadowMapSize);
+        assert.ok(QUALITY_SETTINGS[tier].pixelRatio >= below.pixelRatio);
+    });
+});
+
+test('guessTier never picks ultra', () => {
+    assert.equal(guessTier(), 'high');
+    assert.equal(guessTier({ cores: 32, memory: 64 }), 'high');
+    assert.equal(guessTier({ coarsePointer: true }), 'medium');
+    assert.equal(guessTier({ cores: 4 }), 'medium');
+    assert.equal(guessTier({ memory: 2 }), 'low');
+});
+
+test('frame monitor steps down only after sustained slow frames', () => {
+    const slow = [];
+    const monitor = createFrameMonitor({ budget: 20, patience: 1, cooldown: 0, onSlow: (ms) => slow.push(ms) });
+    for (let i = 0; i < 120; i++) monitor.sample(16);
+    assert.equal(slow.length, 0);
+    assert.ok(Math.abs(monitor.fps - 62.5) < 0.01);
+
+    // a single hitch and a hidden-tab gap don't count
+    monitor.sample(200);
+    monitor.sample(5000);
+    for (let i = 0; i < 60; i++) monitor.sample(16);
+    assert.equal(slow.length, 0);
+
+    for (let i = 0; i < 40; i++) monitor.sample(40);
+    assert.equal(slow.length, 1);
+    assert.ok(slow[0] > 20);
+});
+
+test('frame monitor waits out the cooldown after a step', () => {
+    let slow = 0;
+    const monitor = createFrameMonitor({ budget: 20, patience: 1, cooldown: 5, onSlow: () => slow++ });
+    monitor.reset();
+    for (let i = 0; i < 100; i++) monitor.sample(40); // 4 s, still settling
+    assert.equal(slow, 0);
+    for (let i = 0; i < 60; i++) monitor.sample(40);
+    assert.equal(slow, 1);
+});
@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MODES, modeFor, voiceFrequencies, crackleCount } from '../sonification.js';
+import { normalizeMapping, evaluateMapping, DEFAULT_MAPPING } from '../mapping.js';
+import { NOAA_DEFAULTS, deriveLevels } from '../space-weather.js';
+import { createRandom } from '../random.js';
+
+const { mapping } = normalizeMapping(DEFAULT_MAPPING);
+const sound = (values) => {
+    const d = { ...NOAA_DEFAULTS, ...values };
+    return evaluateMapping(mapping, { ...d, ...deriveLevels(d) });
+};
+
+test('Bz polarity picks the harmonic mode', () => {
+    assert.equal(modeFor(sound({ bz: -8 })['audio.mode']), 'dark');
+    assert.equal(modeFor(sound({ bz: 0 })['audio.mode']), 'open');
+    assert.equal(modeFor(sound({ bz: 6 })['audio.mode']), 'bright');
+    assert.deepEqual(voiceFrequencies(100, 'dark'), MODES.dark.map(r => 100 * r));
+    assert.ok(Math.abs(voiceFrequencies(100, 'bright')[1] - 125) < 1e-9);
+});
+
+test('solar wind raises the drone, SSN opens its filter', () => {
+    assert.ok(sound({ solarWind: 800 })['audio.pitch'] > sound({ solarWind: 350 })['audio.pitch']);
+    assert.ok(sound({ ssn: 180 })['audio.brightness'] > sound({ ssn: 10 })['audio.brightness']);
+});
+
+test('proton flux adds crackle only above quiet levels', () => {
+    assert.equal(sound({ protonFlux: 0.4 })['audio.crackle'], 0);
+    assert.ok(Math.abs(sound({ protonFlux: 1000 })['audio.crackle'] - 1) < 1e-9);
+});
+
+test('crackleCount keeps the click rate whatever the frame time', () => {
+    const clicks = (delta) => {
+        const rand = createRandom(7);
+        let n = 0;
+        for (let t = 0; t < 100; t += delta) n += crackleCount(0.5, delta, rand);
+        return n / 100;
+    };
+    assert.ok(Math.abs(clicks(1 / 60) - 20) < 2);
+    assert.ok(Math.abs(clicks(1 / 10) - 20) < 2);
+    assert.equal(crackleCount(0, 1 / 60), 0);
+});
@@ -0,0 +1,225 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+    parseNoaa, deriveLevels, deriveNoaaData, parseNoaaHistory, snapshotAt, flareMagnitude, flareEnvelope, parseTime, NOAA_DEFAULTS,
+    validateFeed, latestReadings, freshness, backoffDelay, loadNoaaCache, NOAA_CACHE_KEY, NOAA_ENDPOINTS, createLiveProvider, trimCachedRows,
+    flareClassOf, parseFlares
+} from '../space-weather.js';
+
+const fixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'));
+const storm = fixture('noaa-storm');
+const quiet = fixture('noaa-quiet');
+const nulls = fixture('noaa-nulls');
+const NOW = Date.UTC(2026, 9, 18, 12, 5);
+
+test('parseNoaa takes the latest row of every feed', () => {
+    assert.deepEqual(parseNoaa(storm), {
+        ssn: 136.2, protonFlux: 3.12, kp: 9, solarWind: 751.8, bz: -43.5, electronFlux: 388.1, recentFlare: 'M3.5'
+    });
+    assert.deepEqual(parseNoaa(quiet), {
+        ssn: 82.4, protonFlux: 0.29, kp: 1, solarWind: 349.6, bz: 3.1, electronFlux: 1520.4, recentFlare: 'C1.2'
+    });
+});
+
+test('parseNoaa leaves failed feeds out of the snapshot; an empty flare log means no flare', () => {
+    assert.deepEqual(parseNoaa(fixture('noaa-partial')), { kp: 4, recentFlare: 'None' });
+});
+
+test('parseNoaa keeps real zeros and skips null readings instead of substituting defaults', () => {
+    const { proton, ...feeds } = nulls;
+    assert.deepEqual(parseNoaa(feeds, NOW), { ssn: 82.4, kp: 0, bz: 0, solarWind: 348.9, recentFlare: 'None' });
+});
+
+test('latestReadings picks the newest row at or before now, whatever the feed order', () => {
+    const r = latestReadings(nulls, NOW);
+    assert.deepEqual(r.bz, { value: 0, time: Date.UTC(2026, 9, 18, 12, 0) });
+    assert.deepEqual(r.solarWind, { value: 348.9, time: Date.UTC(2026, 9, 18, 11, 59) });
+    assert.equal(r.ssn.time, Date.UTC(2026, 8, 1), 'future predictions are not readings yet');
+    assert.equal(r.electronFlux, undefined);
+});
+
+test('a flare is classed by its peak, or by its class so far while still rising, in readings and history alike', () => {
+    assert.equal(flareClassOf({ current_class: 'M1.0', max_class: 'X2.3' }), 'X2.3');
+    assert.equal(flareClassOf({ current_class: 'M1.0', max_class: null }), 'M1.0');
+    assert.equal(flareClassOf({ current_class: '', max_class: 'n/a' }), null);
+
+    const flare = [
+        { begin_time: '2026-10-18T09:00:00Z', max_time: '2026-10-18T09:10:00Z', end_time: '2026-10-18T09:30:00Z', current_class: 'C5.0', max_class: 'M2.1' },
+        { begin_time: '2026-10-18T11:50:00Z', max_time: null, end_time: null, current_class: 'C8.4', max_class: null }
+    ];
+    assert.deepEqual(parseFlares(flare).map(f => f.flareClass), ['M2.1', 'C8.4']);
+    assert.equal(latestReadings({ flare }, NOW).recentFlare.value, 'C8.4');
+    assert.equal(latestReadings({ flare: flare.slice(0, 1) }, NOW).recentFlare.value, 'M2.1', 'the peak, as on the timeline');
+});
+
+test('validateFeed rejects the wrong shape and drops malformed rows', () => {
+    assert.throws(() => validateFeed('proton', nulls.proton), /proton: expected an array, got object/);
+    assert.throws(() => validateFeed('electron', nulls.electron), /no row has "time_tag" and "flux"/);
+    assert.deepEqual(validateFeed('flare', []), { rows: [], dropped: 0 });
+    const wind = validateFeed('wind', nulls.wind);
+    assert.equal(wind.rows.length, 2);
+    assert.equal(wind.dropped, 1);
+    assert.equal(validateFeed('kp', storm.kp).dropped, 0);
+});
+
+test('freshness follows each feed\'s cadence', () => {
+    const min = 60 * 1000;
+    assert.equal(freshness('kp', NOW - 2 * min, NOW), 'fresh');
+    assert.equal(freshness('kp', NOW - 30 * min, NOW), 'stale');
+    assert.equal(freshness('kp', NOW - 3 * 60 * min, NOW), 'old');
+    assert.equal(freshness('ssn', NOW - 30 * 24 * 60 * min, NOW), 'fresh');
+    assert.equal(freshness('bz', null, NOW), 'missing');
+});
+
+test('backoff doubles from 5 s up to the cap', () => {
+    assert.deepEqual([0, 1, 2, 3, 4].map(n => backoffDelay(n)), [0, 5000, 10000, 20000, 40000]);
+    assert.equal(backoffDelay(20), 10 * 60 * 1000);
+    assert.equal(backoffDelay(3, { base: 1000, max: 3000 }), 3000);
+});
+
+test('the cache keeps timestamps and drops feeds that no longer validate', () => {
+    const store = {};
+    globalThis.localStorage = { getItem: (k) => store[k] ?? null, setItem: (k, v) => { store[k] = String(v); } };
+    store[NOAA_CACHE_KEY] = JSON.stringify({
+        kp: { fetchedAt: NOW, rows: storm.kp },
+        proton: { fetchedAt: NOW, rows: nulls.proton },
+        wind: { rows: storm.wind }
+    });
+    assert.deepEqual(loadNoaaCache(), { kp: { fetchedAt: NOW, rows: storm.kp } });
+    store[NOAA_CACHE_KEY] = '{broken';
+    assert.deepEqual(loadNoaaCache(), {});
+    delete globalThis.localStorage;
+});
+
+// A live provider against a fake network: `failing(key)` decides which feeds answer 503, `setItem` stands in for storage
+async function withLiveProvider({ failing = () => false, setItem = () => {} }, run) {
+    const listeners = {};
+    const warnings = [];
+    globalThis.localStorage = { getItem: () => null, setItem };
+    globalThis.window = { addEventListener: (type, fn) => { listeners[type] = fn; }, removeEventListener() {} };
+    globalThis.fetch = async (url) => {
+        const key = Object.keys(NOAA_ENDPOINTS).find(k => NOAA_ENDPOINTS[k] === url);
+        return failing(key) ? { ok: false, status: 503 } : { ok: true, json: async () => quiet[key] };
+    };
+    const warn = console.warn;
+    console.warn = (...args) => warnings.push(args.join(' '));
+    const provider = createLiveProvider();
+    const settle = () => new Promise(r => setTimeout(r, 10));
+    try {
+        provider.start(() => {});
+        await settle();
+        await run(provider, { warnings, reconnect: async () => { listeners.online(); await settle(); } });
+    } finally {
+        provider.stop();
+        console.warn = warn;
+        delete globalThis.localStorage;
+        delete globalThis.window;
+        delete globalThis.fetch;
+    }
+}
+
+test('one failing feed leaves the live provider online, even when only its retry was due', async () => {
+    await withLiveProvider({ failing: (key) => key === 'wind' }, async (provider, { reconnect }) => {
+        assert.equal(provider.status().offline, false);
+        assert.equal(provider.status().errors.bz, 'wind: HTTP 503');
+        await reconnect(); // only the wind feed is due again, and it fails again
+        assert.equal(provider.status().offline, false);
+        assert.equal(provider.describe(), 'services.swpc.noaa.gov');
+    });
+});
+
+test('the live provider is offline once every feed fails', async () => {
+    await withLiveProvider({ failing: () => true }, async (provider) => {
+        assert.equal(provider.status().offline, true);
+        assert.match(provider.describe(), /^offline — retrying in \d+ s$/);
+    });
+});
+
+test('a cache that cannot be saved is reported once, not on every poll', async () => {
+    let windCalls = 0;
+    const failing = (key) => key === 'wind' && ++windCalls === 1;
+    const setItem = () => { throw new Error('QuotaExceededError'); };
+    await withLiveProvider({ failing, setItem }, async (provider, { warnings, reconnect }) => {
+        await reconnect(); // the wind retry succeeds and saves again
+        assert.equal(provider.status().errors.bz, undefined);
+        assert.equal(warnings.filter(w => w.startsWith('NOAA cache not saved')).length, 1);
+    });
+});
+
+test('the cache keeps the recent rows plus the newest older reading of each field and channel', () => {
+    const HOUR = 60 * 60 * 1000;
+    const at = (hoursAgo) => new Date(NOW - hoursAgo * HOUR).toISOString();
+    const wind = [
+        { time_tag: at(30), wind_speed: 400, bz: -2 },
+        { time_tag: at(20), wind_speed: 410, bz: null },
+        { time_tag: at(10), wind_speed: null, bz: null },
+        { time_tag: at(2), wind_speed: null, bz: 1 },
+        { time_tag: at(1), wind_speed: null, bz: 3 }
+    ];
+    assert.deepEqual(trimCachedRows('wind', wind, NOW), [wind[0], wind[1], wind[3], wind[4]]);
+    assert.deepEqual(latestReadings({ wind: trimCachedRows('wind', wind, NOW) }, NOW), latestReadings({ wind }, NOW));
+
+    const proton = [
+        { time_tag: at(9), flux: 1, energy: '>=10 MeV' },
+        { time_tag: at(8), flux: 5, energy: '>=50 MeV' },
+        { time_tag: at(7), flux: 2, energy: '>=10 MeV' }
+    ];
+    assert.deepEqual(trimCachedRows('proton', proton, NOW), [proton[1], proton[2]]);
+
+    const ssn = [{ 'time-tag': '2026-08', predicted_ssn: 90 }, { 'time-tag': '2026-09', predicted_ssn: 88 }, { 'time-tag': '2026-11', predicted_ssn: 85 }];
+    assert.deepEqual(trimCachedRows('ssn', ssn, NOW), ssn.slice(1), 'the current month and the predictions ahead');
+});
+
+test('deriveLevels: storm from Kp + southward Bz, radiation from protons + flare class', () => {
+    const s = deriveLevels(parseNoaa(storm));
+    assert.equal(s.stormLevel, 1);
+    assert.ok(Math.abs(s.radiationLevel - (Math.log10(4.12) / 5 + 0.3)) < 1e-9);
+
+    const q = deriveLevels(parseNoaa(quiet));
+    assert.ok(Math.abs(q.stormLevel - 1 / 9) < 1e-9, 'northward Bz adds nothing');
+    assert.ok(Math.abs(q.radiationLevel - Math.log10(1.29) / 5) < 1e-9, 'C flares add nothing');
+
+    assert.equal(deriveLevels({ ...NOAA_DEFAULTS, recentFlare: 'X1.0', protonFlux: 1e6 }).radiationLevel, 1);
+});
+
+test('deriveNoaaData keeps previous values for missing metrics and derives levels and the burst', () => {
+    const data = deriveNoaaData(NOAA_DEFAULTS, parseNoaa(fixture('noaa-partial')), null, 0);
+    assert.equal(data.kp, 4);
+    assert.equal(data.ssn, NOAA_DEFAULTS.ssn);
+    assert.ok(Math.abs(data.stormLevel - 4 / 9) < 1e-9);
+    assert.equal(data.flareScale, 0);
+
+    // At the M3.5 peak the burst is at full level and sized by the class
+    const history = parseNoaaHistory(storm);
+    const peak = deriveNoaaData(NOAA_DEFAULTS, parseNoaa(storm), history, parseTime('2024-05-10T19:05:00Z'));
+    assert.equal(peak.flareLevel, 1);
+    assert.ok(Math.abs(peak.flareScale - (1 + Math.log10(3.5))) < 1e-9);
+});
+
+test('flare magnitude and envelope', () => {
+    assert.equal(flareMagnitude('C1.0'), 0);
+    assert.equal(flareMagnitude('M1.0'), 1);
+    assert.equal(flareMagnitude('X1.0'), 2);
+    assert.equal(flareMagnitude('None'), 0);
+
+    const flare = { begin: 0, peak: 1000, end: 2000 };
+    assert.equal(flareEnvelope(flare, -1), 0);
+    assert.equal(flareEnvelope(flare, 500), 0.5);
+    assert.equal(flareEnvelope(flare, 1000), 1);
+    assert.ok(Math.abs(flareEnvelope(flare, 2000) - 0.3) < 1e-9);
+    assert.ok(flareEnvelope(flare, 2000 + 7200e3) < 0.01);
+});
+
+test('parseNoaaHistory keeps the headline GOES channel and reads zone-less tags as UTC', () => {
+    const history = parseNoaaHistory(storm);
+    assert.deepEqual(history.series.protonFlux.map(([, v]) => v), [2.61, 3.12]);
+    assert.equal(history.series.kp[1][0], Date.UTC(2024, 4, 10, 23, 59));
+    assert.deepEqual(history.flares.map(f => f.flareClass), ['X3.9', 'M3.5']);
+
+    const snap = snapshotAt(history, parseTime('2024-05-10T23:58:30'));
+    assert.equal(snap.kp, 8);
+    assert.equal(snap.bz, -41.2);
+    assert.equal(snap.recentFlare, 'M3.5');
+    assert.equal(snapshotAt(history, parseTime('2024-05-10T12:00:00Z')).recentFlare, 'X3.9');
+});
@@ -0,0 +1,133 @@
+// TIMELINE - Sparklines of the data source's history with a scrubber that rewinds the gallery
+
+import { historyRange } from './space-weather.js';
+
+const ROWS = [
+    { metric: 'kp', label: 'Kp', color: '#c58bff', min: 0, max: 9 },
+    { metric: 'bz', label: 'Bz', color: '#ff6644', zero: true },
+    { metric: 'solarWind', label: 'WIND', color: '#00ffcc' },
+    { metric: 'protonFlux', label: 'p+', color: '#ffd700', log: true }
+];
+
+const SLIDER_MAX = 1000; // slider at the far right = live
+
+export function formatUtc(time) {
+    return `${new Date(time).toISOString().slice(5, 16).replace('T', ' ')} UTC`;
+}
+
+export function createTimeline({ canvas, slider, label, liveButton, onScrub }) {
+    const ctx = canvas.getContext('2d');
+    const dpr = Math.min(window.devicePixelRatio || 1, 2);
+    canvas.width = canvas.clientWidth * dpr || canvas.width;
+    canvas.height = canvas.clientHeight * dpr || canvas.height;
+
+    let history = null;
+    let range = null;
+    let now = null;
+    let scrubTime = null;
+
+    slider.max = SLIDER_MAX;
+    slider.value = SLIDER_MAX;
+
+    slider.addEventListener('input', () => {
+        if (!range) return;
+        const v = Number(slider.value);
+        scrubTime = v >= SLIDER_MAX ? null : range.min + (range.max - range.min) * (v / SLIDER_MAX);
+        refresh();
+        onScrub(scrubTime);
+    });
+    liveButton?.addEventListener('click', resume);
+
+    function resume() {
+        if (scrubTime === null) return;
+        scrubTime = null;
+        slider.value = SLIDER_MAX;
+        refresh();
+        onScrub(null);
+    }
+
+    // now: the moment the latest snapshot describes (the right-hand edge when live)
+    function setHistory(next, time) {
+        history = next;
+        now = time;
+        range = history ? historyRange(history) : null;
+        if (range) range.max = Math.max(range.max, now ?? range.max);
+        slider.disabled = !range;
+        if (range && scrubTime !== null) slider.value = ((scrubTime - range.min) / Math.max(1, range.max - range.min)) * SLIDER_MAX;
+        refresh();
+    }
+
+    function refresh() {
+        label.textContent = scrubTime === null ? 'LIVE' : `⏪ ${formatUtc(scrubTime)}`;
+        label.classList.toggle('scrubbing', scrubTime !== null);
+        if (liveButton) liveButton.style.visibility = scrubTime === null ? 'hidden' : 'visible';
+        draw();
+    }
+
+    function draw() {
+        const { width, height } = canvas;
+        ctx.clearRect(0, 0, width, height);
+        if (!history || !range) return;
+
+        const span = Math.max(1, range.max - range.min);
+        const rowH = height / ROWS.length;
+        const xOf = (t) => ((t - range.min) / span) * width;
+
+        ROWS.forEach((row, i) => {
+            const series = history.series[row.metric] || [];
+            const top = i * rowH;
+            const pad = rowH * 0.15;
+            const values = series.map(([, v]) => (row.log ? Math.log10(Math.max(v, 1e-3)) : v));
+            let min = row.min ?? Math.min(...values);
+            let max = row.max ?? Math.max(...values);
+            if (row.zero) { const m = Math.max(Math.abs(min), Math.abs(max), 1); min = -m; max = m; }
+            if (max - min < 1e-6) { min -= 1; max += 1; }
+            const yOf = (v) => top + pad + (1 - (v - min) / (max - min)) * (rowH - pad * 2);
+
+            if (row.zero) {
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+                ctx.lineWidth = 1;
+                ctx.beginPath(); ctx.moveTo(0, yOf(0)); ctx.lineTo(width, yOf(0)); ctx.stroke();
+            }
+
+            ctx.strokeStyle = row.color;
+            ctx.lineWidth = dpr;
+            ctx.globalAlpha = 0.8;
+            ctx.beginPath();
+            series.forEach(([t], j) => {
+                const x = xOf(t), y = yOf(values[j]);
+                if (j === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+
+            ctx.fillStyle = row.color;
+            ctx.font = `${7 * dpr}px sans-serif`;
+            ctx.fillText(row.label, 2, top + 8 * dpr);
+        });
+
+        // Flares as ticks along the bottom
+        ctx.fillStyle = '#ffffff';
+        history.flares.forEach(f => {
+            if (f.begin < range.min || !/^[XM]/.test(f.flareClass)) return;
+            ctx.globalAlpha = f.flareClass.startsWith('X') ? 0.9 : 0.4;
+            ctx.fillRect(xOf(f.begin), height - 3 * dpr, dpr, 3 * dpr);
+        });
+        ctx.globalAlpha = 1;
+
+        // Cursor: scrub position, or "now" when live
+        const cursor = scrubTime ?? now;
+        if (cursor != null) {
+            ctx.strokeStyle = scrubTime === null ? 'rgba(255, 255, 255, 0.4)' : '#ffffff';
+            ctx.lineWidth = dpr;
+            ctx.beginPath(); ctx.moveTo(xOf(cursor), 0); ctx.lineTo(xOf(cursor), height); ctx.stroke();
+        }
+    }
+
+    return {
+        setHistory,
+        resume,
+        get time() { return scrubTime; },
+        get scrubbing() { return scrubTime !== null; }
+    };
+}
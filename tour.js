@@ -0,0 +1,198 @@
+// TOURS - Scripted autopilot: keyframed camera paths, per-work dwell times and ordered/shuffled playlists
+
+import * as THREE from 'three';
+
+export const TOURS_STORAGE_KEY = 'cosmic-gallery.tours';
+
+// The original autopilot: a wandering orbit around the focused work, a random work every 8 seconds.
+// Path keys are in stage space (origin at the focused display), so the orbit follows every work.
+export const DEFAULT_TOUR = {
+    name: 'Orbit',
+    order: 'shuffle',
+    dwell: 8,
+    path: {
+        space: 'stage',
+        loop: true,
+        duration: 70,
+        keys: [
+            { t: 0, position: [8, 1.6, 4], target: [0, 2.4, 0] },
+            { t: 5.83, position: [9.18, 3.57, 9.3], target: [0.32, 2.25, 0.15] },
+            { t: 11.67, position: [5.29, 0.9, 13.17], target: [0.49, 1.95, 0.2] },
+            { t: 17.5, position: [0, -0.12, 11.97], target: [0.43, 1.8, 0.1] },
+            { t: 23.33, position: [-2.69, 2.91, 8.66], target: [0.17, 1.95, -0.07] },
+            { t: 29.17, position: [-4.7, 2.85, 6.71], target: [-0.18, 2.25, -0.19] },
+            { t: 35, position: [-8.05, -0.16, 4], target: [-0.44, 2.4, -0.17] },
+            { t: 40.83, position: [-9.2, 0.98, -1.31], target: [-0.49, 2.24, -0.03] },
+            { t: 46.67, position: [-5.28, 3.58, -5.15], target: [-0.32, 1.94, 0.13] },
+            { t: 52.5, position: [0, 1.52, -3.92], target: [0.01, 1.8, 0.2] },
+            { t: 58.33, position: [2.68, -0.35, -0.64], target: [0.33, 1.96, 0.12] },
+            { t: 64.17, position: [4.72, 2.38, 1.28], target: [0.49, 2.26, -0.04] }
+        ]
+    }
+};
+
+const isVec3 = (v) => Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+
+// { name, order: 'ordered' | 'shuffle', dwell, works?: [id | { id, dwell }], path: { space, loop, duration, keys } }
+export function normalizeTour(json) {
+    if (!json || typeof json !== 'object') throw new Error('Tour is not an object');
+    const keys = (json.path?.keys || [])
+        .filter(k => isVec3(k?.position) && isVec3(k?.target) && Number.isFinite(k.t))
+        .sort((a, b) => a.t - b.t);
+    if (!keys.length) throw new Error('Tour path needs at least one key with t, position [x, y, z] and target [x, y, z]');
+    const dwell = json.dwell > 0 ? Number(json.dwell) : 8;
+    const last = keys[keys.length - 1].t;
+    return {
+        name: String(json.name || 'Tour'),
+        order: json.order === 'shuffle' ? 'shuffle' : 'ordered',
+        dwell,
+        works: Array.isArray(json.works)
+            ? json.works.map(w => (typeof w === 'string' ? { id: w, dwell } : { id: String(w?.id), dwell: w?.dwell > 0 ? Number(w.dwell) : dwell })).filter(w => w.id)
+            : null,
+        path: {
+            space: json.path.space === 'world' ? 'world' : 'stage',
+            loop: json.path.loop !== false,
+            duration: Math.max(json.path.duration > 0 ? Number(json.path.duration) : 0, last + (json.path.loop !== false ? keys[1]?.t - keys[0].t || 1 : 0)),
+            keys
+        }
+    };
+}
+
+// Camera position and look-at splines through the keys, timed by each key's t (seconds)
+export function createCameraPath(path) {
+    const { keys, loop, duration } = path;
+    const toCurve = (field) => keys.length > 1
+        ? new THREE.CatmullRomCurve3(keys.map(k => new THREE.Vector3(...k[field])), loop, 'centripetal')
+        : null;
+    const positions = toCurve('position');
+    const targets = toCurve('target');
+    const segments = loop ? keys.length : keys.length - 1;
+
+    // Index-based curve parameter for a time: key i sits at u = i / segments
+    function paramAt(time) {
+        const t = loop ? ((time % duration) + duration) % duration + keys[0].t : Math.min(Math.max(time + keys[0].t, keys[0].t), keys[keys.length - 1].t);
+        let i = keys.length - 1;
+        while (i > 0 && keys[i].t > t) i--;
+        const start = keys[i].t;
+        const end = i + 1 < keys.length ? keys[i + 1].t : keys[0].t + duration;
+        const f = end > start ? Math.min(1, (t - start) / (end - start)) : 0;
+        return Math.min(1, (i + f) / segments);
+    }
+
+    function sample(time, out = { position: new THREE.Vector3(), target: new THREE.Vector3() }) {
+        if (!positions) {
+            out.position.set(...keys[0].position);
+            out.target.set(...keys[0].target);
+            return out;
+        }
+        const u = paramAt(time);
+        positions.getPoint(u, out.position);
+        targets.getPoint(u, out.target);
+        return out;
+    }
+
+    return { sample, duration, space: path.space };
+}
+
+// Endless work order: 'ordered' walks the list, 'shuffle' deals a fresh shuffle each round without repeating across rounds
+export function createPlaylist(entries, order = 'ordered', rand = Math.random) {
+    let queue = [];
+    let last = null;
+
+    function deal() {
+        queue = [...entries];
+        if (order === 'shuffle') {
+            for (let i = queue.length - 1; i > 0; i--) {
+                const j = Math.floor(rand() * (i + 1));
+                [queue[i], queue[j]] = [queue[j], queue[i]];
+            }
+            if (queue.length > 1 && queue[0] === last) queue.push(queue.shift());
+        }
+    }
+
+    return {
+        next() {
+            if (!entries.length) return null;
+            if (!queue.length) deal();
+            last = queue.shift();
+            return last;
+        }
+    };
+}
+
+// Plays a tour on real clock delta: update(delta) returns the camera pose, onWork(id) fires at each dwell boundary.
+// works: ids available in the collection (a tour without its own list plays all of them)
+export function createTourPlayer(tour, { works, onWork, rand = Math.random }) {
+    const path = createCameraPath(tour.path);
+    const available = new Set(works);
+    const entries = (tour.works || works.map(id => ({ id, dwell: tour.dwell }))).filter(w => available.has(w.id));
+    const playlist = createPlaylist(entries, tour.order, rand);
+    const pose = { position: new THREE.Vector3(), target: new THREE.Vector3() };
+    let time = 0;
+    let workTime = 0;
+    let current = null;
+
+    function advance() {
+        current = playlist.next();
+        workTime = 0;
+        if (current) onWork(current.id);
+    }
+
+    return {
+        tour,
+        start() { time = 0; advance(); },
+        update(delta) {
+            time += delta;
+            workTime += delta;
+            if (current && workTime >= current.dwell) advance();
+            return path.sample(time, pose);
+        },
+        get space() { return path.space; },
+        get time() { return time; }
+    };
+}
+
+// RECORD PATH - Samples the visitor's own flight (world space) and the works they stop at into a tour
+export function createPathRecorder({ interval = 0.5 } = {}) {
+    const keys = [];
+    const works = [];
+    let time = 0;
+    let sinceKey = Infinity;
+
+    return {
+        // position/target: camera and OrbitControls target (Vector3); workId: the focused work
+        sample(delta, position, target, workId) {
+            time += delta;
+            sinceKey += delta;
+            if (sinceKey >= interval) {
+                keys.push({ t: +time.toFixed(3), position: position.toArray().map(v => +v.toFixed(3)), target: target.toArray().map(v => +v.toFixed(3)) });
+                sinceKey = 0;
+            }
+            const last = works[works.length - 1];
+            if (workId && last?.id === workId) last.dwell += delta;
+            else if (workId) works.push({ id: workId, dwell: delta });
+        },
+        finish(name = `Recorded ${new Date().toISOString().slice(0, 16).replace('T', ' ')}`) {
+            return {
+                name,
+                order: 'ordered',
+                works: works.filter(w => w.dwell >= 0.5).map(w => ({ id: w.id, dwell: +w.dwell.toFixed(2) })),
+                path: { space: 'world', loop: true, duration: +(time + interval).toFixed(3), keys }
+            };
+        },
+        get time() { return time; },
+        get keyCount() { return keys.length; }
+    };
+}
+
+export function loadSavedTours() {
+    try {
+        return JSON.parse(localStorage.getItem(TOURS_STORAGE_KEY) || '[]');
+    } catch (e) {
+        return [];
+    }
+}
+
+export function saveTours(tours) {
+    localStorage.setItem(TOURS_STORAGE_KEY, JSON.stringify(tours));
+}
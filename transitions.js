@@ -0,0 +1,122 @@
+// TRANSITIONS - Shader blends between the outgoing and incoming artwork textures
+
+export const TRANSITION_STYLES = ['auto', 'crossfade', 'dissolve', 'flare'];
+const MODES = { crossfade: 0, dissolve: 1, flare: 2 };
+
+// AUTO: the sky picks the style - flares burn through, storms dissolve, calm days crossfade
+export function resolveTransition(style, noaa) {
+    let mode = style;
+    if (style === 'auto') {
+        if (/^[XM]/.test(noaa.recentFlare)) mode = 'flare';
+        else if (noaa.stormLevel > 0.4) mode = 'dissolve';
+        else mode = 'crossfade';
+    }
+    // Faster solar wind = faster transitions (400 km/s -> 1.2s)
+    const windFactor = Math.max(0.4, Math.min(2.5, (noaa.solarWind || 400) / 400));
+    const duration = Math.max(0.4, Math.min(3, 1.2 / windFactor));
+    // Flare wipe glows hotter for X-class than M-class
+    const heat = noaa.recentFlare?.startsWith('X') ? [1.0, 0.95, 0.8] : noaa.recentFlare?.startsWith('M') ? [1.0, 0.55, 0.15] : [1.0, 0.35, 0.05];
+    return { mode, duration, heat };
+}
+
+// Injects the blend into a MeshStandardMaterial so the artwork keeps its lighting and shadows
+export function installTransitionShader(material) {
+    const uniforms = {
+        uPrevMap: { value: null },
+        uHasPrev: { value: 0 },
+        uPrevUvScale: { value: { x: 1, y: 1 } },
+        uProgress: { value: 1 },
+        uMode: { value: 0 },
+        uSeed: { value: 0 },
+        uHeat: { value: { x: 1, y: 0.5, z: 0.1 } }
+    };
+
+    material.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, uniforms);
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <map_pars_fragment>', `#include <map_pars_fragment>
+uniform sampler2D uPrevMap;
+uniform float uHasPrev;
+uniform vec2 uPrevUvScale;
+uniform float uProgress;
+uniform float uMode;
+uniform float uSeed;
+uniform vec3 uHeat;
+
+float tHash(vec2 p) { return fract(sin(dot(p + uSeed, vec2(127.1, 311.7))) * 43758.5453); }
+float tNoise(vec2 p) {
+    vec2 i = floor(p), f = fract(p);
+    vec2 u = f * f * (3.0 - 2.0 * f);
+    return mix(mix(tHash(i), tHash(i + vec2(1.0, 0.0)), u.x), mix(tHash(i + vec2(0.0, 1.0)), tHash(i + vec2(1.0, 1.0)), u.x), u.y);
+}
+float tFbm(vec2 p) { return tNoise(p) * 0.5 + tNoise(p * 2.0) * 0.3 + tNoise(p * 4.0) * 0.2; }`)
+            .replace('#include <map_fragment>', `vec3 transitionGlow = vec3(0.0);
+#ifdef USE_MAP
+    vec4 nextTexel = texture2D(map, vMapUv);
+    vec2 prevUv = (vMapUv - 0.5) * uPrevUvScale + 0.5;
+    bool prevInside = all(greaterThanEqual(prevUv, vec2(0.0))) && all(lessThanEqual(prevUv, vec2(1.0)));
+    vec4 prevTexel = (uHasPrev > 0.5 && prevInside) ? texture2D(uPrevMap, prevUv) : vec4(0.0, 0.0, 0.0, 1.0);
+    float k = uProgress;
+    if (uMode > 1.5) {
+        // Solar flare wipe: a ragged hot front sweeps from the lower-left corner
+        float front = uProgress * 1.6 - 0.3;
+        float d = length(vMapUv * vec2(1.0, 0.7)) / 1.22 + (tFbm(vMapUv * 6.0) - 0.5) * 0.25;
+        k = smoothstep(d - 0.04, d + 0.04, front);
+        transitionGlow = uHeat * smoothstep(0.12, 0.0, abs(front - d)) * 2.5 * (1.0 - uProgress);
+    } else if (uMode > 0.5) {
+        // Dissolve: noise threshold with a faint ember edge
+        float n = tFbm(vMapUv * 8.0);
+        float edge = uProgress * 1.2 - 0.1;
+        k = smoothstep(n - 0.05, n + 0.05, edge);
+        transitionGlow = uHeat * smoothstep(0.06, 0.0, abs(edge - n)) * 0.6 * (1.0 - uProgress);
+    }
+    diffuseColor *= mix(prevTexel, nextTexel, k);
+#endif`)
+            .replace('#include <emissivemap_fragment>', `#include <emissivemap_fragment>
+    totalEmissiveRadiance += transitionGlow;`);
+    };
+    material.needsUpdate = true;
+    return uniforms;
+}
+
+// Drives one transition at a time; the outgoing texture is released once it is no longer visible
+export function createTransitioner(material, release, rand = Math.random) {
+    const uniforms = installTransitionShader(material);
+    let outgoing = null;
+    let duration = 1;
+
+    function finish() {
+        uniforms.uProgress.value = 1;
+        uniforms.uHasPrev.value = 0;
+        uniforms.uPrevMap.value = null;
+        if (outgoing) release(outgoing);
+        outgoing = null;
+    }
+
+    // prev: { texture, ... } handed back to release(); prevUvScale maps the old image into the new plane
+    function start(prev, { mode, duration: seconds, heat }, prevUvScale = { x: 1, y: 1 }) {
+        finish();
+        outgoing = prev;
+        duration = seconds;
+        uniforms.uPrevMap.value = prev?.texture || null;
+        uniforms.uHasPrev.value = prev?.texture ? 1 : 0;
+        uniforms.uPrevUvScale.value = prevUvScale;
+        uniforms.uMode.value = MODES[mode] ?? 0;
+        uniforms.uSeed.value = rand() * 100;
+        uniforms.uHeat.value = { x: heat[0], y: heat[1], z: heat[2] };
+        uniforms.uProgress.value = 0;
+    }
+
+    function update(delta) {
+        if (uniforms.uProgress.value >= 1) return;
+        uniforms.uProgress.value = Math.min(1, uniforms.uProgress.value + delta / duration);
+        if (uniforms.uProgress.value >= 1) finish();
+    }
+
+    return {
+        start,
+        update,
+        finish,
+        get active() { return uniforms.uProgress.value < 1; }
+    };
+}
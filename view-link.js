@@ -0,0 +1,40 @@
+// VIEW LINKS - The visitor's view (work, camera, lights, FX/autopilot, layout, data source) as a shareable URL hash
+
+// Hash keys read like the query string, so #layout=wall&source=scenario works the same as ?layout=wall&source=scenario
+export const LINK_PARAMS = ['layout', 'source', 'scenario', 'timeline', 'speed', 'seed'];
+
+const round = (v) => +v.toFixed(2);
+const vec = (s) => {
+    const v = (s || '').split(',').map(Number);
+    return v.length === 3 && v.every(Number.isFinite) ? v : null;
+};
+const flag = (s) => (s === '1' ? true : s === '0' ? false : null);
+
+// view: { work, camera: Vector3, target: Vector3, lights: ['#rrggbb' x3], fx, autopilot, params: { layout, source, ... } }
+export function encodeView(view) {
+    const parts = [];
+    const add = (key, value) => { if (value !== null && value !== undefined && value !== '') parts.push(`${key}=${encodeURIComponent(value).replace(/%2C/g, ',')}`); };
+    add('work', view.work);
+    add('cam', view.camera?.toArray().map(round).join(','));
+    add('target', view.target?.toArray().map(round).join(','));
+    add('lights', view.lights?.map(c => c.replace('#', '')).join(','));
+    add('fx', view.fx ? 1 : 0);
+    add('autopilot', view.autopilot ? 1 : 0);
+    LINK_PARAMS.forEach(key => add(key, view.params?.[key]));
+    return parts.join('&');
+}
+
+// Missing or malformed fields come back as null, so the page keeps its own default for them
+export function decodeView(hash) {
+    const p = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const lights = (p.get('lights') || '').split(',');
+    return {
+        work: p.get('work'),
+        camera: vec(p.get('cam')),
+        target: vec(p.get('target')),
+        lights: lights.length === 3 && lights.every(c => /^[0-9a-f]{6}$/i.test(c)) ? lights.map(c => `#${c.toLowerCase()}`) : null,
+        fx: flag(p.get('fx')),
+        autopilot: flag(p.get('autopilot')),
+        params: Object.fromEntries(LINK_PARAMS.filter(key => p.has(key)).map(key => [key, p.get(key)]))
+    };
+}